@@ -22,16 +22,58 @@ const gameConfig = {
     size: 23         // 玩家大小
   },
   
+  // 摄像机设置
+  camera: {
+    followSpeed: 8,      // 跟随速度，越大跟得越紧（0表示直接对准玩家）
+    deadZoneWidth: 60,   // 死区宽度（像素），玩家在画面中间这么大的范围里走动时摄像机不动
+    deadZoneHeight: 60,  // 死区高度（像素）
+    lookAhead: 60,       // 往玩家移动方向多看多少像素
+    minZoom: 0.5,        // 最多缩小到0.5倍（能看到两倍大的范围）
+    maxZoom: 2,          // 最多放大到2倍
+    zoomStep: 1.25,      // 点一下放大/缩小按钮变化的倍数
+    cullMargin: 50       // 画面外多宽的范围还要画（世界像素），免得边缘的东西突然出现
+  },
+  
   // 地形设置
   terrain: {
     landRatio: 0.65,              // 陆地占比 (65%)
     centerRadius: 0.35,            // 中心陆地半径
     edgeWaterRange: 3,             // 边缘水域范围
     maxRetries: 5,                 // 最大重试次数
+    randomSeed: null,              // 随机种子（null表示每次都不一样，填数字可以重现同一张地图和物品）
     enableRandomGeneration: true,  // 启用随机生成
     visualizeInConsole: true       // 在控制台显示地图
   },
   
+  // 难度设置（主菜单选好难度后，通过启动参数 difficulty 传给游戏）
+  difficulty: {
+    default: 'normal',                       // 没选难度时用哪一档
+    easy: { coinCount: 10, seedCount: 8 },   // 简单：金币和种子多
+    normal: { coinCount: 8, seedCount: 6 },  // 普通
+    hard: { coinCount: 5, seedCount: 4 }     // 困难：金币和种子少
+  },
+  
+  // 游戏循环设置
+  loop: {
+    fixedTimestep: true,   // 使用固定步长更新逻辑（不同设备上移动结果一致）
+    stepMs: 1000 / 60,     // 每一步逻辑更新的时间 (毫秒)
+    maxCatchUpSteps: 5,    // 一帧最多补多少步，防止卡顿后"越补越卡"
+    maxFrameTime: 250      // 单帧最长时间 (毫秒)，切后台回来时不会一下子跳很远
+  },
+  
+  // 切换游戏的过渡效果
+  transition: {
+    type: 'fade',        // 效果：fade（淡入淡出）、slide（滑动）、wipe（擦除）、none（没有）
+    duration: 300,       // 盖住和露出各用多少毫秒
+    color: '#000000'     // 幕布颜色
+  },
+  
+  // 调试设置
+  debug: {
+    inspector: false,    // 启动时是否打开ECS检查器（游戏里点右上角"调试"按钮也能打开）
+    profiler: false      // 是否显示性能面板（FPS曲线、更新/渲染耗时、绘制次数）
+  },
+  
   // UI设置
   ui: {
     titleSize: 48,       // 标题字体大小
@@ -0,0 +1,424 @@
+import { getWorldPosition } from './components/PositionComponent.js';
+import { MovementComponent } from './components/MovementComponent.js';
+import { Random } from './utils/Random.js';
+
+/**
+ * Camera 摄像机
+ * 世界很大，屏幕很小，摄像机决定"现在看世界的哪一块"
+ *
+ * 什么是摄像机？
+ * 就像拿着手机拍视频：手机跟着主角走（跟随），主角在画面中间小范围走动时手机不动（死区），
+ * 主角往哪走就多拍一点前面（前瞻），拍到世界边缘就不再往外拍（边界），
+ * 撞到东西时手抖一下（震屏），两根手指捏一捏还能拉近拉远（缩放）。
+ *
+ * 摄像机有两套坐标：
+ * - 屏幕坐标：手指点在屏幕上的位置
+ * - 世界坐标：实体在世界里的位置
+ * screenToWorld() / worldToScreen() 负责互相转换
+ *
+ * 用法：
+ *   const camera = new Camera({ followSpeed: 8, lookAhead: 60 });
+ *   camera.setViewport(0, 100, 750, 934);      // 游戏画面在屏幕上的区域
+ *   camera.setBounds(0, 0, 1500, 1500);        // 世界的范围
+ *   camera.follow(player);
+ *
+ *   // 逻辑更新时
+ *   camera.update(deltaTime);
+ *
+ *   // 渲染时
+ *   camera.begin(context, alpha);
+ *   world.render(alpha);
+ *   camera.end(context);
+ */
+export class Camera {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.followSpeed - 跟随速度，越大跟得越紧（0表示直接对准目标）
+   * @param {number} options.deadZoneWidth - 死区宽度（屏幕像素），目标在死区里走动时摄像机不动
+   * @param {number} options.deadZoneHeight - 死区高度（屏幕像素）
+   * @param {number} options.lookAhead - 往目标移动方向多看多少屏幕像素
+   * @param {number} options.minZoom - 最小缩放（默认0.5，能看到两倍大的范围）
+   * @param {number} options.maxZoom - 最大缩放（默认2）
+   * @param {number} options.cullMargin - 画面外多宽的范围还算"看得见"（世界像素，默认50）
+   */
+  constructor(options = {}) {
+    // 摄像机左上角在世界里的位置
+    this.x = 0;
+    this.y = 0;
+
+    // 上一步的位置（渲染时在两步之间插值，和实体的插值保持同步）
+    this.prevX = 0;
+    this.prevY = 0;
+
+    // 画面在屏幕上的区域
+    this.viewportX = 0;
+    this.viewportY = 0;
+    this.viewportWidth = 0;
+    this.viewportHeight = 0;
+
+    // 世界范围（null表示没有边界）
+    this.bounds = null;
+
+    // 缩放：2表示东西看起来大一倍，能看到的范围小一半
+    this.zoom = 1;
+    this.minZoom = options.minZoom || 0.5;
+    this.maxZoom = options.maxZoom || 2;
+
+    // 缩放改变时的回调 (zoom) => {}
+    this.onZoomChange = null;
+
+    // 裁剪边距：渲染系统只画画面里（再往外多这么一圈）的东西
+    this.cullMargin = options.cullMargin !== undefined ? options.cullMargin : 50;
+
+    // 跟随设置
+    this.target = null;
+    this.followSpeed = options.followSpeed !== undefined ? options.followSpeed : 8;
+    this.deadZoneWidth = options.deadZoneWidth || 0;
+    this.deadZoneHeight = options.deadZoneHeight || 0;
+    this.lookAhead = options.lookAhead || 0;
+
+    // 震屏
+    this.shakeIntensity = 0;
+    this.shakeDuration = 0;
+    this.shakeElapsed = 0;
+    this.shakeOffsetX = 0;
+    this.shakeOffsetY = 0;
+    this.random = new Random();
+
+    // 最近一次渲染时实际使用的位置（坐标转换用它，和画面上看到的一致）
+    this.renderX = 0;
+    this.renderY = 0;
+  }
+
+  /**
+   * 画面能看到的世界宽度（缩放后）
+   */
+  get viewWidth() {
+    return this.viewportWidth / this.zoom;
+  }
+
+  /**
+   * 画面能看到的世界高度（缩放后）
+   */
+  get viewHeight() {
+    return this.viewportHeight / this.zoom;
+  }
+
+  /**
+   * 设置画面在屏幕上的区域
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   */
+  setViewport(x, y, width, height) {
+    this.viewportX = x;
+    this.viewportY = y;
+    this.viewportWidth = width;
+    this.viewportHeight = height;
+    return this;
+  }
+
+  /**
+   * 设置世界范围，摄像机不会拍到范围外面
+   * @param {number} x - 世界左边
+   * @param {number} y - 世界上边
+   * @param {number} width - 世界宽度
+   * @param {number} height - 世界高度
+   */
+  setBounds(x, y, width, height) {
+    this.bounds = { x, y, width, height };
+    return this;
+  }
+
+  /**
+   * 跟随实体
+   * @param {Entity|null} entity - 要跟随的实体（null表示不跟随）
+   */
+  follow(entity) {
+    this.target = entity;
+    return this;
+  }
+
+  /**
+   * 立刻对准目标（刚开始游戏时用，摄像机不会从世界角落慢慢飘过来）
+   */
+  snapToTarget() {
+    if (!this.target) return this;
+
+    const position = getWorldPosition(this.target);
+    this.moveTo(position.x - this.viewWidth / 2, position.y - this.viewHeight / 2);
+    return this;
+  }
+
+  /**
+   * 设置缩放
+   * 屏幕上的锚点（比如两根手指中间）在缩放前后对着世界里的同一个位置
+   * @param {number} zoom - 缩放倍数（会被限制在minZoom~maxZoom之间）
+   * @param {number} screenX - 锚点屏幕X坐标（默认画面中心）
+   * @param {number} screenY - 锚点屏幕Y坐标（默认画面中心）
+   */
+  setZoom(zoom, screenX = this.viewportX + this.viewportWidth / 2, screenY = this.viewportY + this.viewportHeight / 2) {
+    zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    if (zoom === this.zoom) return this;
+
+    const offsetX = screenX - this.viewportX;
+    const offsetY = screenY - this.viewportY;
+    const anchorX = this.x + offsetX / this.zoom;
+    const anchorY = this.y + offsetY / this.zoom;
+
+    this.zoom = zoom;
+    this.moveTo(anchorX - offsetX / zoom, anchorY - offsetY / zoom);
+
+    if (this.onZoomChange) {
+      this.onZoomChange(zoom);
+    }
+    return this;
+  }
+
+  /**
+   * 在现在的缩放上再乘一个倍数（双指缩放、放大缩小按钮用）
+   * @param {number} factor - 倍数，大于1放大，小于1缩小
+   * @param {number} screenX - 锚点屏幕X坐标（可选）
+   * @param {number} screenY - 锚点屏幕Y坐标（可选）
+   */
+  zoomBy(factor, screenX, screenY) {
+    return this.setZoom(this.zoom * factor, screenX, screenY);
+  }
+
+  /**
+   * 直接移动到某个位置（不插值）
+   * @param {number} x - 摄像机左上角的世界X坐标
+   * @param {number} y - 摄像机左上角的世界Y坐标
+   */
+  moveTo(x, y) {
+    const clamped = this._clamp(x, y);
+    this.x = this.prevX = this.renderX = clamped.x;
+    this.y = this.prevY = this.renderY = clamped.y;
+    return this;
+  }
+
+  /**
+   * 震屏
+   * @param {number} intensity - 最大晃动距离（像素）
+   * @param {number} duration - 持续时间（毫秒）
+   */
+  shake(intensity = 8, duration = 200) {
+    // 正在震的时候再震，取更强的那个
+    this.shakeIntensity = Math.max(intensity, this.isShaking() ? this.shakeIntensity : 0);
+    this.shakeDuration = duration;
+    this.shakeElapsed = 0;
+    return this;
+  }
+
+  /**
+   * 是否正在震屏
+   * @returns {boolean}
+   */
+  isShaking() {
+    return this.shakeElapsed < this.shakeDuration;
+  }
+
+  /**
+   * 更新摄像机位置（在逻辑更新里调用，暂停时传0就不会动）
+   * @param {number} deltaTime - 这一步的时间（毫秒）
+   */
+  update(deltaTime) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    if (deltaTime <= 0) return;
+
+    if (this.target) {
+      const desired = this._getDesiredPosition();
+
+      if (this.followSpeed > 0) {
+        // 每一步追上剩下距离的一部分，和帧率无关
+        const t = 1 - Math.exp(-this.followSpeed * deltaTime / 1000);
+        this.x += (desired.x - this.x) * t;
+        this.y += (desired.y - this.y) * t;
+      } else {
+        this.x = desired.x;
+        this.y = desired.y;
+      }
+    }
+
+    this._updateShake(deltaTime);
+  }
+
+  /**
+   * 开始用摄像机画画：只在画面区域里画，并把世界坐标缩放、移到屏幕上
+   * @param {Object} context - 绘图上下文
+   * @param {number} alpha - 渲染插值系数（0~1）
+   */
+  begin(context, alpha = 1) {
+    this.renderX = this.prevX + (this.x - this.prevX) * alpha + this.shakeOffsetX;
+    this.renderY = this.prevY + (this.y - this.prevY) * alpha + this.shakeOffsetY;
+
+    context.save();
+    context.beginPath();
+    context.rect(this.viewportX, this.viewportY, this.viewportWidth, this.viewportHeight);
+    context.clip();
+    context.translate(this.viewportX, this.viewportY);
+    context.scale(this.zoom, this.zoom);
+    context.translate(-this.renderX, -this.renderY);
+  }
+
+  /**
+   * 结束用摄像机画画
+   * @param {Object} context - 绘图上下文
+   */
+  end(context) {
+    context.restore();
+  }
+
+  /**
+   * 屏幕坐标 → 世界坐标
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @returns {{x: number, y: number}}
+   */
+  screenToWorld(x, y) {
+    return {
+      x: (x - this.viewportX) / this.zoom + this.renderX,
+      y: (y - this.viewportY) / this.zoom + this.renderY
+    };
+  }
+
+  /**
+   * 世界坐标 → 屏幕坐标
+   * @param {number} x - 世界X坐标
+   * @param {number} y - 世界Y坐标
+   * @returns {{x: number, y: number}}
+   */
+  worldToScreen(x, y) {
+    return {
+      x: (x - this.renderX) * this.zoom + this.viewportX,
+      y: (y - this.renderY) * this.zoom + this.viewportY
+    };
+  }
+
+  /**
+   * 画面现在能看到的世界范围（渲染系统用它跳过画面外的东西）
+   * 要在 begin() 之后调用，这样和这一帧画出来的位置一致
+   * @param {number} margin - 往外多留的边距（世界像素，默认cullMargin）
+   * @returns {{left: number, top: number, right: number, bottom: number}}
+   */
+  getVisibleRect(margin = this.cullMargin) {
+    return {
+      left: this.renderX - margin,
+      top: this.renderY - margin,
+      right: this.renderX + this.viewWidth + margin,
+      bottom: this.renderY + this.viewHeight + margin
+    };
+  }
+
+  /**
+   * 屏幕上的点是否在画面区域里
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @returns {boolean}
+   */
+  containsScreenPoint(x, y) {
+    return x >= this.viewportX && x <= this.viewportX + this.viewportWidth &&
+           y >= this.viewportY && y <= this.viewportY + this.viewportHeight;
+  }
+
+  /**
+   * 计算摄像机想去的位置（考虑死区、前瞻和边界）
+   * @private
+   */
+  _getDesiredPosition() {
+    const position = getWorldPosition(this.target);
+    const look = this._getLookDirection(position);
+
+    // 摄像机中心想要对准的点（前瞻和死区是屏幕像素，缩放后换算成世界距离）
+    const lookAhead = this.lookAhead / this.zoom;
+    const focusX = position.x + look.x * lookAhead;
+    const focusY = position.y + look.y * lookAhead;
+
+    // 死区：对准的点还在画面中间的小框里时，这个方向不用动
+    let centerX = this.x + this.viewWidth / 2;
+    let centerY = this.y + this.viewHeight / 2;
+    const halfDeadX = this.deadZoneWidth / 2 / this.zoom;
+    const halfDeadY = this.deadZoneHeight / 2 / this.zoom;
+
+    if (focusX > centerX + halfDeadX) {
+      centerX = focusX - halfDeadX;
+    } else if (focusX < centerX - halfDeadX) {
+      centerX = focusX + halfDeadX;
+    }
+
+    if (focusY > centerY + halfDeadY) {
+      centerY = focusY - halfDeadY;
+    } else if (focusY < centerY - halfDeadY) {
+      centerY = focusY + halfDeadY;
+    }
+
+    return this._clamp(centerX - this.viewWidth / 2, centerY - this.viewHeight / 2);
+  }
+
+  /**
+   * 目标正在往哪个方向走（单位向量，不动时是0）
+   * @private
+   */
+  _getLookDirection(position) {
+    const movement = this.target.getComponent(MovementComponent);
+    if (!movement || !movement.moving) {
+      return { x: 0, y: 0 };
+    }
+
+    let dx = movement.velocityX;
+    let dy = movement.velocityY;
+    if (movement.targetX !== null && movement.targetY !== null) {
+      dx = movement.targetX - position.x;
+      dy = movement.targetY - position.y;
+    }
+
+    const length = Math.sqrt(dx * dx + dy * dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : { x: 0, y: 0 };
+  }
+
+  /**
+   * 限制摄像机不超出世界范围（世界比画面小时居中）
+   * @private
+   */
+  _clamp(x, y) {
+    const bounds = this.bounds;
+    if (!bounds) return { x, y };
+
+    const viewWidth = this.viewWidth;
+    const viewHeight = this.viewHeight;
+
+    if (bounds.width < viewWidth) {
+      x = bounds.x + (bounds.width - viewWidth) / 2;
+    } else {
+      x = Math.max(bounds.x, Math.min(x, bounds.x + bounds.width - viewWidth));
+    }
+
+    if (bounds.height < viewHeight) {
+      y = bounds.y + (bounds.height - viewHeight) / 2;
+    } else {
+      y = Math.max(bounds.y, Math.min(y, bounds.y + bounds.height - viewHeight));
+    }
+
+    return { x, y };
+  }
+
+  /**
+   * 推进震屏，越到后面晃得越轻
+   * @private
+   */
+  _updateShake(deltaTime) {
+    if (!this.isShaking()) {
+      this.shakeOffsetX = 0;
+      this.shakeOffsetY = 0;
+      return;
+    }
+
+    this.shakeElapsed += deltaTime;
+    const strength = this.shakeIntensity * Math.max(0, 1 - this.shakeElapsed / this.shakeDuration);
+    this.shakeOffsetX = (this.random.next() * 2 - 1) * strength;
+    this.shakeOffsetY = (this.random.next() * 2 - 1) * strength;
+  }
+}
@@ -1,3 +1,10 @@
+import { ConfigManager } from './ConfigManager.js';
+import { LoadingScreen } from './LoadingScreen.js';
+import { getTransition } from './Transitions.js';
+import { saveData, loadData } from './utils/Storage.js';
+import { ErrorScreen } from './scenes/ErrorScreen.js';
+import { Renderer } from './Renderer.js';
+
 /**
  * GameManager 游戏管理器
  * 负责管理所有子游戏的生命周期和切换
@@ -5,6 +12,30 @@
  * 什么是GameManager？
  * 就像一个"导演"，决定现在该播放哪个游戏
  * 它会调用当前游戏的init（初始化）、update（更新）、render（渲染）、release（释放）方法
+ * 
+ * 什么是固定步长？
+ * 手机有快有慢，每帧的时间都不一样。如果直接用"这一帧过了多久"来移动角色，
+ * 卡顿一下角色就会"瞬移"一大段。所以我们把时间存进一个"储蓄罐"（accumulator），
+ * 每攒够一步（stepMs）就更新一次逻辑，剩下不够一步的时间用来在两步之间插值画面，
+ * 这样不管手机快慢，逻辑每一步走的距离都一样。
+ * 
+ * 切换游戏时会播放过渡效果（见 Transitions.js）：
+ * 旧游戏被盖住 → 显示加载画面，新游戏init() → 新游戏露出来
+ * 所以游戏循环要一直运行，切换游戏的过程需要它来画画面。
+ * 
+ * 什么是场景栈？
+ * 暂停菜单、结算画面这类界面要"盖"在游戏上面，就像在桌上再放一张纸：
+ *   gameManager.pushScene(PauseMenu);  // 放上一张纸，下面的游戏暂停（但还能看到）
+ *   gameManager.popScene();            // 拿走最上面的纸，下面的游戏继续
+ * 只有最上面的场景会更新、收到触摸，下面的场景只负责画出来。
+ * 
+ * 玩家切出微信（接电话、回消息）时小游戏会进入后台：
+ * onHide() 暂停游戏、停掉声音、自动存档；回来时 onShow() 重新计时再继续，
+ * 这样在后台待了多久，角色都不会一下子"瞬移"。
+ * 
+ * 游戏在init/update/render时出错不会让整个小游戏卡死：
+ * 出错的游戏会被释放，换成错误画面（见 scenes/ErrorScreen.js），错误记在 errorLog 里。
+ * 要是连错误画面也出错了，就只在画布上写一行提示。
  */
 export class GameManager {
   constructor(canvas, context) {
@@ -20,6 +51,56 @@ export class GameManager {
     
     // 当前游戏的名称
     this.currentGameName = null;
+    
+    // 盖在当前游戏上面的场景（从下到上）
+    this.sceneStack = [];
+    
+    // 游戏循环设置
+    const config = GameGlobal.configManager || new ConfigManager();
+    this.fixedTimestep = config.get('gameConfig', 'loop.fixedTimestep', true);
+    this.stepMs = config.get('gameConfig', 'loop.stepMs', 1000 / 60);
+    this.maxCatchUpSteps = config.get('gameConfig', 'loop.maxCatchUpSteps', 5);
+    this.maxFrameTime = config.get('gameConfig', 'loop.maxFrameTime', 250);
+    
+    // 还没用掉的时间（毫秒）
+    this.accumulator = 0;
+    
+    // 上一帧的时间戳
+    this.lastFrameTime = null;
+    
+    // 渲染插值系数（0~1）：画面处在上一步和这一步之间的哪个位置
+    this.renderAlpha = 1;
+    
+    // 过渡效果设置
+    this.transitionType = config.get('gameConfig', 'transition.type', 'fade');
+    this.transitionDuration = config.get('gameConfig', 'transition.duration', 300);
+    this.transitionColor = config.get('gameConfig', 'transition.color', '#000000');
+    
+    // 正在播放的过渡效果（null表示没有）
+    // { draw, direction: 'cover'或'reveal', elapsed, duration, resolve }
+    this.transition = null;
+    
+    // 是否正在切换游戏
+    this.switching = false;
+    
+    // 加载状态（新游戏init()期间不为null）：{ progress, message }
+    this.loading = null;
+    this.loadingScreen = new LoadingScreen(canvas, context);
+    
+    // 等待下一帧画完的回调
+    this.frameWaiters = [];
+    
+    // 出过的错误（最新的在最后），会存到本地方便以后查看
+    this.errorLog = loadData('errorLog', []);
+    this.maxErrorLogSize = 20;
+    
+    // 错误画面也显示不出来时，直接写在画布上的提示（null表示没有）
+    this.fatalMessage = null;
+    this.fatalRenderer = null;
+    
+    // 小游戏是否在后台
+    this.hidden = false;
+    this._bindLifecycle();
   }
   
   /**
@@ -55,19 +136,21 @@ export class GameManager {
   /**
    * 切换到指定的游戏
    * @param {string} gameName - 要切换到的游戏名称
+   * @param {Object} options - 选项
+   * @param {string|Function} options.transition - 过渡效果的名字或绘制函数（默认使用配置里的）
+   * @param {Object} options.params - 传给新游戏构造函数的启动参数（比如随机种子、存档）
+   * @returns {Promise} 切换完成时完成（不会失败：出的错都记在 errorLog 里，调用的地方不用 catch）
    */
-  async switchGame(gameName) {
+  async switchGame(gameName, options = {}) {
     // 如果要切换的游戏就是当前游戏，不做任何操作
     if (this.currentGameName === gameName && this.currentGame) {
       return;
     }
     
-    // 释放当前游戏
-    if (this.currentGame) {
-      console.log(`释放游戏 "${this.currentGameName}"`);
-      this.currentGame.release();
-      this.currentGame = null;
-      this.currentGameName = null;
+    // 上一次切换还没完成（比如连续点了两次按钮）
+    if (this.switching) {
+      console.warn(`正在切换游戏，忽略切换到 "${gameName}"`);
+      return;
     }
     
     // 获取要切换到的游戏类
@@ -78,15 +161,473 @@ export class GameManager {
       return;
     }
     
-    // 创建新游戏实例
-    console.log(`初始化游戏 "${gameName}"`);
-    this.currentGame = new GameClass(this.canvas, this.context, this);
-    this.currentGameName = gameName;
+    const draw = this._resolveTransition(options.transition);
+    this.switching = true;
+    
+    try {
+      // 先把旧游戏盖住，再释放它（连同盖在它上面的场景）
+      if (this.currentGame) {
+        await this._playTransition(draw, 'cover');
+        
+        // 释放时出错也要接着切换，不能把释放了一半的旧游戏留下来继续跑
+        try {
+          this._releaseScenes();
+          console.log(`释放游戏 "${this.currentGameName}"`);
+          this.currentGame.release();
+        } catch (error) {
+          console.error(`释放游戏 "${this.currentGameName}" 时出错:`, error);
+          this._recordError(this.currentGameName, 'release', error);
+        } finally {
+          this.sceneStack = [];
+          this.currentGame = null;
+          this.currentGameName = null;
+        }
+      }
+      
+      // 创建新游戏实例
+      console.log(`初始化游戏 "${gameName}"`);
+      this.loading = { progress: 0, message: '' };
+      this.loadingScreen.reset();
+      this.currentGameName = gameName;
+      this.fatalMessage = null;
+      
+      // 创建并初始化新游戏（期间显示加载画面），出错时换成错误画面
+      try {
+        this.currentGame = new GameClass(this.canvas, this.context, this, options.params || {});
+        await this.currentGame.init();
+      } catch (error) {
+        this._handleGameError(error, 'init');
+      }
+    } catch (error) {
+      // 意料之外的错误（比如过渡效果出错），记下来，不让调用的地方收到失败的Promise
+      console.error(`切换到游戏 "${gameName}" 时出错:`, error);
+      this._recordError(gameName, 'switch', error);
+    } finally {
+      this.loading = null;
+      this.switching = false;
+    }
+    
+    // 加载游戏花的时间不算进游戏时间
+    this.resetClock();
+    
+    // 新游戏慢慢露出来（不用等它播完）
+    this._playTransition(draw, 'reveal');
+    
+    if (this.currentGameName === gameName) {
+      console.log(`游戏 "${gameName}" 已启动`);
+    }
+  }
+  
+  /**
+   * 处理游戏出错：记录错误，释放出错的游戏（连同盖在上面的场景），显示错误画面
+   * @param {Error} error - 错误
+   * @param {string} phase - 出错的阶段（init/update/render）
+   * @private
+   */
+  _handleGameError(error, phase) {
+    const gameName = this.currentGameName;
+    const failedGame = this.currentGame;
+    console.error(`💥 游戏 "${gameName}" ${phase} 出错:`, error);
+    this._recordError(gameName, phase, error);
+    
+    // 释放的时候也可能再出错，不能让它挡住错误画面
+    try {
+      this._releaseScenes();
+      if (failedGame) {
+        failedGame.release();
+      }
+    } catch (releaseError) {
+      console.error('释放出错的游戏时又出错了:', releaseError);
+    }
+    
+    this.currentGame = null;
+    this.currentGameName = null;
+    
+    // 错误画面自己出错就不再换新的错误画面了（免得一直循环），只写一行提示
+    if (failedGame instanceof ErrorScreen) {
+      this._showFatalMessage();
+      return;
+    }
+    
+    // init是异步的，同步抛出的错误和之后才失败的都要接住
+    let errorScreen = null;
+    try {
+      errorScreen = new ErrorScreen(this.canvas, this.context, this, { gameName, phase, error });
+      this.currentGame = errorScreen;
+      errorScreen.init().catch(screenError => this._handleErrorScreenFailure(errorScreen, screenError));
+    } catch (screenError) {
+      this._handleErrorScreenFailure(errorScreen, screenError);
+    }
+  }
+  
+  /**
+   * 错误画面初始化失败：释放它，改成只写一行提示
+   * @param {ErrorScreen|null} errorScreen - 出错的错误画面
+   * @param {Error} error - 错误
+   * @private
+   */
+  _handleErrorScreenFailure(errorScreen, error) {
+    // 已经换成别的游戏了，就不用管这个错误画面了
+    if (this.currentGame !== errorScreen) return;
+    
+    console.error('错误画面初始化失败:', error);
+    
+    try {
+      if (errorScreen) {
+        errorScreen.release();
+      }
+    } catch (releaseError) {
+      console.error('释放错误画面时又出错了:', releaseError);
+    }
+    
+    this.currentGame = null;
+    this._showFatalMessage();
+  }
+  
+  /**
+   * 显示最简单的错误提示（错误画面也用不了的时候）
+   * @private
+   */
+  _showFatalMessage() {
+    this.fatalMessage = '😵 游戏出错了，请重新打开小游戏';
+  }
+  
+  /**
+   * 记录错误
+   * @private
+   */
+  _recordError(gameName, phase, error) {
+    this.errorLog.push({
+      gameName,
+      phase,
+      message: error && error.message ? error.message : String(error),
+      stack: error && error.stack ? error.stack : '',
+      time: Date.now()
+    });
+    
+    if (this.errorLog.length > this.maxErrorLogSize) {
+      this.errorLog.splice(0, this.errorLog.length - this.maxErrorLogSize);
+    }
+    
+    try {
+      saveData('errorLog', this.errorLog);
+    } catch (storageError) {
+      console.warn('错误记录保存失败:', storageError);
+    }
+  }
+  
+  /**
+   * 获取出过的错误
+   * @returns {Array} [{ gameName, phase, message, stack, time }]
+   */
+  getErrorLog() {
+    return this.errorLog.slice();
+  }
+  
+  /**
+   * 结束当前游戏，带着结果切换到下一个游戏（默认回主菜单）
+   * 下一个游戏的启动参数里会收到 params.result = { from: 游戏名, data: 结果 }
+   * 走之前会自动存一次档（游戏有 save() 的话），主菜单里就能"继续上一局"
+   * 
+   *   this.gameManager.finishGame({ score: 100 });
+   * @param {*} result - 游戏结果，不传时使用当前游戏 getResult() 的返回值
+   * @param {string} nextGame - 下一个游戏的名称
+   * @param {Object} options - 传给 switchGame 的选项
+   * @returns {Promise}
+   */
+  finishGame(result, nextGame = 'MainMenu', options = {}) {
+    const game = this.currentGame;
+    if (result === undefined) {
+      result = game && game.getResult ? game.getResult() : null;
+    }
     
-    // 初始化新游戏
-    await this.currentGame.init();
+    this.autoSave();
     
-    console.log(`游戏 "${gameName}" 已启动`);
+    const params = {
+      ...options.params,
+      result: { from: this.currentGameName, data: result }
+    };
+    return this.switchGame(nextGame, { ...options, params });
+  }
+  
+  /**
+   * 在当前画面上面盖一个场景（暂停菜单、对话框、结算画面...）
+   * 下面的场景会被暂停、收不到触摸，但还会继续画出来
+   * 
+   * 场景和子游戏的写法一样：constructor(canvas, context, gameManager, params)，
+   * 加上 init / update / render / release。render 时不要清空画布，不然就看不到下面的场景了。
+   * @param {Function} SceneClass - 场景类
+   * @param {Object} params - 传给场景的参数（可选）
+   * @returns {Promise<Object|null>} 场景实例，不能盖场景时返回null
+   */
+  async pushScene(SceneClass, params = {}) {
+    // 正在切换游戏时画面马上要换掉了，不能再盖场景
+    if (!this.currentGame || this.switching) {
+      console.warn('现在不能打开新场景');
+      return null;
+    }
+    
+    const below = this.getTopScene();
+    const scene = new SceneClass(this.canvas, this.context, this, params);
+    this._suspendScene(below);
+    
+    // 初始化好以后再放到最上面，免得还没准备好就被更新
+    // 场景初始化出错时只放弃这个场景，下面的游戏继续
+    try {
+      await scene.init();
+    } catch (error) {
+      console.error('场景初始化出错:', error);
+      this._recordError(this.currentGameName, 'init', error);
+      scene.release();
+      this._resumeScene(below);
+      return null;
+    }
+    this.sceneStack.push(scene);
+    
+    console.log(`📄 打开场景（共${this.sceneStack.length}层）`);
+    return scene;
+  }
+  
+  /**
+   * 关掉最上面的场景，下面的场景继续运行
+   * @returns {boolean} 是否关掉了场景
+   */
+  popScene() {
+    const scene = this.sceneStack.pop();
+    if (!scene) {
+      console.warn('没有可以关闭的场景');
+      return false;
+    }
+    
+    scene.release();
+    this._resumeScene(this.getTopScene());
+    
+    console.log(`📄 关闭场景（还剩${this.sceneStack.length}层）`);
+    return true;
+  }
+  
+  /**
+   * 获取最上面的场景（没有盖场景时就是当前游戏）
+   * @returns {Object|null}
+   */
+  getTopScene() {
+    return this.sceneStack.length > 0
+      ? this.sceneStack[this.sceneStack.length - 1]
+      : this.currentGame;
+  }
+  
+  /**
+   * 暂停被盖住的场景，并让它收不到触摸
+   * @private
+   */
+  _suspendScene(scene) {
+    if (!scene) return;
+    
+    if (scene.inputManager) {
+      scene.inputManager.setEnabled(false);
+    }
+    if (scene.pause) {
+      scene.pause();
+    }
+  }
+  
+  /**
+   * 让重新露出来的场景继续运行
+   * @private
+   */
+  _resumeScene(scene) {
+    if (!scene) return;
+    
+    if (scene.inputManager) {
+      scene.inputManager.setEnabled(true);
+    }
+    if (scene.resume) {
+      scene.resume();
+    }
+  }
+  
+  /**
+   * 从上到下释放所有盖在游戏上面的场景
+   * @private
+   */
+  _releaseScenes() {
+    while (this.sceneStack.length > 0) {
+      this.sceneStack.pop().release();
+    }
+  }
+  
+  /**
+   * 监听小游戏切到后台/回到前台
+   * 没有 wx.onHide / wx.onShow 的环境可以自己调用 onHide() / onShow()
+   * @private
+   */
+  _bindLifecycle() {
+    this._handleHide = () => this.onHide();
+    this._handleShow = () => this.onShow();
+    
+    if (typeof wx !== 'undefined' && wx.onHide && wx.onShow) {
+      wx.onHide(this._handleHide);
+      wx.onShow(this._handleShow);
+    } else {
+      console.log('当前环境没有 wx.onHide/onShow，需要手动调用 onHide()/onShow()');
+    }
+  }
+  
+  /**
+   * 小游戏切到后台
+   * 暂停最上面的场景（下面的场景本来就是暂停的）、停掉声音、自动存档
+   */
+  onHide() {
+    if (this.hidden) return;
+    this.hidden = true;
+    console.log('🌙 小游戏切到后台');
+    
+    this._suspendScene(this.getTopScene());
+    
+    // 会播放声音的场景实现 stopAudio()
+    for (const scene of [this.currentGame, ...this.sceneStack]) {
+      if (scene && scene.stopAudio) {
+        scene.stopAudio();
+      }
+    }
+    
+    this.autoSave();
+  }
+  
+  /**
+   * 小游戏回到前台
+   * 在后台的时间不算进游戏时间，然后继续最上面的场景
+   */
+  onShow() {
+    if (!this.hidden) return;
+    this.hidden = false;
+    console.log('☀️ 小游戏回到前台');
+    
+    this.resetClock();
+    this._resumeScene(this.getTopScene());
+  }
+  
+  /**
+   * 自动存档
+   * 游戏实现 save() 返回要存的数据，存档按游戏名分开保存
+   * @returns {boolean} 是否存档成功
+   */
+  autoSave() {
+    const game = this.currentGame;
+    if (!game || !game.save || this.loading) return false;
+    
+    try {
+      saveData(`autosave:${this.currentGameName}`, {
+        time: Date.now(),
+        data: game.save()
+      });
+      console.log(`💾 "${this.currentGameName}" 自动存档完成`);
+      return true;
+    } catch (error) {
+      console.error('自动存档失败:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * 读取游戏的自动存档
+   * @param {string} gameName - 游戏名称（默认当前游戏）
+   * @returns {Object|null} 游戏 save() 返回的数据，没有存档时返回null
+   */
+  loadAutoSave(gameName = this.currentGameName) {
+    const saved = loadData(`autosave:${gameName}`);
+    return saved ? saved.data : null;
+  }
+  
+  /**
+   * 报告新游戏的加载进度（由游戏在init()里调用）
+   * 返回的Promise会在加载画面画出来以后完成，await它可以让玩家看到进度变化
+   * @param {number} progress - 进度（0~1）
+   * @param {string} message - 正在做什么（可选）
+   * @returns {Promise}
+   */
+  reportProgress(progress, message = '') {
+    if (!this.loading) return Promise.resolve();
+    
+    this.loading.progress = Math.max(0, Math.min(1, progress));
+    if (message) {
+      this.loading.message = message;
+    }
+    
+    return this.nextFrame();
+  }
+  
+  /**
+   * 等待下一帧画完
+   * @returns {Promise}
+   */
+  nextFrame() {
+    return new Promise(resolve => this.frameWaiters.push(resolve));
+  }
+  
+  /**
+   * 是否正在播放过渡效果
+   * @returns {boolean}
+   */
+  isTransitioning() {
+    return this.transition !== null;
+  }
+  
+  /**
+   * 找到要使用的过渡效果
+   * @param {string|Function} transition - 名字或绘制函数，不传时使用配置里的
+   * @returns {Function} 绘制函数
+   * @private
+   */
+  _resolveTransition(transition = this.transitionType) {
+    if (typeof transition === 'function') return transition;
+    
+    const draw = getTransition(transition);
+    if (!draw) {
+      console.warn(`未知的过渡效果 "${transition}"，使用淡入淡出`);
+      return getTransition('fade');
+    }
+    return draw;
+  }
+  
+  /**
+   * 播放过渡效果
+   * 效果由update()推进，播完时返回的Promise完成
+   * @param {Function} draw - 绘制函数
+   * @param {string} direction - 'cover'（盖住）或 'reveal'（露出）
+   * @returns {Promise}
+   * @private
+   */
+  _playTransition(draw, direction) {
+    // 打断还没播完的效果
+    if (this.transition) {
+      this.transition.resolve();
+    }
+    
+    if (this.transitionDuration <= 0) {
+      this.transition = null;
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      this.transition = { draw, direction, elapsed: 0, duration: this.transitionDuration, resolve };
+    });
+  }
+  
+  /**
+   * 推进过渡效果
+   * @param {number} frameTime - 这一帧的时间（毫秒）
+   * @private
+   */
+  _updateTransition(frameTime) {
+    const transition = this.transition;
+    if (!transition) return;
+    
+    transition.elapsed += frameTime;
+    if (transition.elapsed >= transition.duration) {
+      this.transition = null;
+      transition.resolve();
+    }
   }
   
   /**
@@ -98,27 +639,149 @@ export class GameManager {
   }
   
   /**
-   * 更新当前游戏
+   * 更新最上面的场景（被盖住的场景不更新）
+   * 开启固定步长时，按stepMs一步一步地更新，一帧可能更新0步、1步或好几步
+   * @param {number} now - 当前时间戳（毫秒，可选，默认使用Date.now()）
+   */
+  update(now = Date.now()) {
+    // 第一帧没有上一帧，从0开始计时
+    if (this.lastFrameTime === null) {
+      this.lastFrameTime = now;
+    }
+    
+    // 限制单帧时间，避免切后台或卡顿后角色一下子跑很远
+    const frameTime = Math.min(Math.max(now - this.lastFrameTime, 0), this.maxFrameTime);
+    this.lastFrameTime = now;
+    
+    this._updateTransition(frameTime);
+    
+    // 加载中的游戏还没准备好；正在被盖住的旧游戏停在原地
+    if (this.loading) return;
+    if (this.transition && this.transition.direction === 'cover') return;
+    
+    const scene = this.getTopScene();
+    if (!scene || !scene.update) return;
+    
+    try {
+      this._stepScene(scene, frameTime);
+    } catch (error) {
+      this._handleGameError(error, 'update');
+    }
+  }
+  
+  /**
+   * 按固定步长更新场景
+   * @param {Object} scene - 要更新的场景
+   * @param {number} frameTime - 这一帧的时间（毫秒）
+   * @private
+   */
+  _stepScene(scene, frameTime) {
+    // 不使用固定步长：直接用这一帧的时间更新
+    if (!this.fixedTimestep) {
+      scene.update(frameTime);
+      this.renderAlpha = 1;
+      return;
+    }
+    
+    this.accumulator += frameTime;
+    
+    let steps = 0;
+    while (this.accumulator >= this.stepMs && steps < this.maxCatchUpSteps) {
+      scene.update(this.stepMs);
+      this.accumulator -= this.stepMs;
+      steps++;
+    }
+    
+    // 补到上限还没补完：放弃多出来的整步，只保留不足一步的部分
+    if (this.accumulator >= this.stepMs) {
+      this.accumulator %= this.stepMs;
+    }
+    
+    this.renderAlpha = this.accumulator / this.stepMs;
+  }
+  
+  /**
+   * 画最简单的错误提示（只用 drawText，不依赖任何游戏和场景）
+   * @private
    */
-  update() {
-    if (this.currentGame && this.currentGame.update) {
-      this.currentGame.update();
+  _renderFatalMessage() {
+    try {
+      if (!this.fatalRenderer) {
+        this.fatalRenderer = new Renderer(this.canvas, this.context);
+      }
+      this.fatalRenderer.clear('#000000');
+      this.fatalRenderer.drawText(this.fatalMessage, this.canvas.width / 2, this.canvas.height / 2, '#FFFFFF', 28, 'center');
+    } catch (error) {
+      // 连字都写不出来，就真的没办法了
     }
   }
   
   /**
-   * 渲染当前游戏
+   * 渲染当前游戏，再从下到上画盖在它上面的场景
    */
   render() {
-    if (this.currentGame && this.currentGame.render) {
-      this.currentGame.render();
+    if (this.loading) {
+      // 新游戏加载中，显示加载画面
+      this.loadingScreen.render(this.loading.progress, this.loading.message);
+    } else if (this.currentGame && this.currentGame.render) {
+      try {
+        this.currentGame.render(this.renderAlpha);
+        
+        for (const scene of this.sceneStack) {
+          scene.render(this.renderAlpha);
+        }
+      } catch (error) {
+        this._handleGameError(error, 'render');
+      }
+    } else if (this.fatalMessage) {
+      this._renderFatalMessage();
+    }
+    
+    // 过渡效果盖在最上面
+    const transition = this.transition;
+    if (transition) {
+      const t = Math.min(transition.elapsed / transition.duration, 1);
+      const progress = transition.direction === 'cover' ? t : 1 - t;
+      transition.draw(this.context, this.canvas, progress, this.transitionColor);
+    }
+    
+    // 通知等待这一帧的人
+    if (this.frameWaiters.length > 0) {
+      const waiters = this.frameWaiters;
+      this.frameWaiters = [];
+      for (const resolve of waiters) {
+        resolve();
+      }
     }
   }
   
+  /**
+   * 重置游戏时钟
+   * 清空还没用掉的时间，下一帧重新开始计时
+   */
+  resetClock() {
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.renderAlpha = 1;
+  }
+  
   /**
    * 销毁游戏管理器
    */
   destroy() {
+    // 不再有下一帧了，别让等待的人一直等下去
+    this.transition = null;
+    for (const resolve of this.frameWaiters) {
+      resolve();
+    }
+    this.frameWaiters = [];
+    
+    if (typeof wx !== 'undefined' && wx.offHide && wx.offShow) {
+      wx.offHide(this._handleHide);
+      wx.offShow(this._handleShow);
+    }
+    
+    this._releaseScenes();
     if (this.currentGame) {
       this.currentGame.release();
       this.currentGame = null;
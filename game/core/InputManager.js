@@ -29,11 +29,29 @@ export class InputManager {
     this.deltaX = 0;
     this.deltaY = 0;
     
+    // 双指缩放状态（两根手指按下时开始，上一次两指之间的距离）
+    this.pinching = false;
+    this.pinchDistance = 0;
+    
+    // 是否接收触摸（场景被别的场景盖住时会关掉，触摸只交给最上面的场景）
+    this.enabled = true;
+    
     // 事件回调函数
     this.onTouchStart = null;
     this.onTouchMove = null;
     this.onTouchEnd = null;
     
+    // 触摸被打断的回调 (x, y) => {}：开始双指缩放、来电、触摸被关掉的时候
+    // 这不算一次点击，只要把拖动之类的状态收起来就行
+    this.onTouchCancel = null;
+    
+    // 双指缩放回调 (scale, centerX, centerY) => {}
+    // scale 是和上一次相比两指距离变化的倍数：大于1是张开（放大），小于1是捏合（缩小）
+    this.onPinch = null;
+    
+    // 注册给wx的监听函数（destroy时要用同一个函数取消注册）
+    this._handlers = null;
+    
     // 绑定事件处理函数
     this._bindEvents();
   }
@@ -43,8 +61,18 @@ export class InputManager {
    * @private
    */
   _bindEvents() {
+    const handlers = {};
+    
     // 触摸开始
-    wx.onTouchStart((event) => {
+    handlers.start = (event) => {
+      if (!this.enabled) return;
+      
+      // 第二根手指按下：开始双指缩放
+      if (event.touches && event.touches.length >= 2) {
+        this._beginPinch(event.touches);
+        return;
+      }
+      
       if (event.touches && event.touches.length > 0) {
         const touch = event.touches[0];
         this.touching = true;
@@ -62,10 +90,21 @@ export class InputManager {
           this.onTouchStart(this.touchX, this.touchY);
         }
       }
-    });
+    };
     
     // 触摸移动
-    wx.onTouchMove((event) => {
+    handlers.move = (event) => {
+      if (!this.enabled) return;
+      
+      if (this.pinching) {
+        if (event.touches && event.touches.length >= 2) {
+          this._updatePinch(event.touches);
+        }
+        return;
+      }
+      
+      if (!this.touching) return;
+      
       if (event.touches && event.touches.length > 0) {
         const touch = event.touches[0];
         
@@ -84,10 +123,22 @@ export class InputManager {
           this.onTouchMove(this.touchX, this.touchY, this.deltaX, this.deltaY);
         }
       }
-    });
+    };
     
     // 触摸结束
-    wx.onTouchEnd((event) => {
+    handlers.end = (event) => {
+      if (!this.enabled) return;
+      
+      // 抬起一根手指，双指缩放就结束了（剩下的手指不会变成拖动）
+      if (this.pinching) {
+        if (!event.touches || event.touches.length < 2) {
+          this.pinching = false;
+        }
+        return;
+      }
+      
+      if (!this.touching) return;
+      
       this.touching = false;
       this.deltaX = 0;
       this.deltaY = 0;
@@ -96,19 +147,81 @@ export class InputManager {
       if (this.onTouchEnd) {
         this.onTouchEnd(this.touchX, this.touchY);
       }
-    });
+    };
     
     // 触摸取消（如来电等）
-    wx.onTouchCancel((event) => {
-      this.touching = false;
-      this.deltaX = 0;
-      this.deltaY = 0;
+    handlers.cancel = (event) => {
+      if (!this.enabled) return;
       
-      // 调用回调
-      if (this.onTouchEnd) {
-        this.onTouchEnd(this.touchX, this.touchY);
+      if (this.pinching) {
+        this.pinching = false;
+        return;
       }
-    });
+      
+      this._cancelTouch();
+    };
+    
+    wx.onTouchStart(handlers.start);
+    wx.onTouchMove(handlers.move);
+    wx.onTouchEnd(handlers.end);
+    wx.onTouchCancel(handlers.cancel);
+    this._handlers = handlers;
+  }
+  
+  /**
+   * 打断正在进行的单指触摸（调用 onTouchCancel，不调用 onTouchEnd，免得被当成点击）
+   * @private
+   */
+  _cancelTouch() {
+    if (!this.touching) return;
+    
+    this.touching = false;
+    this.deltaX = 0;
+    this.deltaY = 0;
+    
+    if (this.onTouchCancel) {
+      this.onTouchCancel(this.touchX, this.touchY);
+    }
+  }
+  
+  /**
+   * 开始双指缩放
+   * 正在进行的单指触摸被打断，免得缩放的时候角色还在跟着拖动
+   * @param {Array} touches - 触摸点
+   * @private
+   */
+  _beginPinch(touches) {
+    this._cancelTouch();
+    
+    this.pinching = true;
+    this.pinchDistance = this._getPinchDistance(touches);
+  }
+  
+  /**
+   * 双指移动：算出两指距离变化了多少倍
+   * @param {Array} touches - 触摸点
+   * @private
+   */
+  _updatePinch(touches) {
+    const distance = this._getPinchDistance(touches);
+    
+    if (this.pinchDistance > 0 && distance > 0 && this.onPinch) {
+      const centerX = (touches[0].clientX + touches[1].clientX) / 2;
+      const centerY = (touches[0].clientY + touches[1].clientY) / 2;
+      this.onPinch(distance / this.pinchDistance, centerX, centerY);
+    }
+    
+    this.pinchDistance = distance;
+  }
+  
+  /**
+   * 两根手指之间的距离
+   * @private
+   */
+  _getPinchDistance(touches) {
+    const dx = touches[1].clientX - touches[0].clientX;
+    const dy = touches[1].clientY - touches[0].clientY;
+    return Math.sqrt(dx * dx + dy * dy);
   }
   
   /**
@@ -155,11 +268,28 @@ export class InputManager {
     return distance <= radius;
   }
   
+  /**
+   * 打开/关闭触摸
+   * 关闭时如果手指还按着，这次触摸就被打断了，免得拖拽一直停在半路
+   * @param {boolean} enabled - 是否接收触摸
+   */
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+    
+    if (!enabled) {
+      this.pinching = false;
+      this._cancelTouch();
+    }
+    
+    this.enabled = enabled;
+  }
+  
   /**
    * 重置输入状态
    */
   reset() {
     this.touching = false;
+    this.pinching = false;
     this.deltaX = 0;
     this.deltaY = 0;
   }
@@ -168,9 +298,21 @@ export class InputManager {
    * 销毁输入管理器
    */
   destroy() {
-    // 微信小游戏的事件监听无法直接移除，这里重置回调
+    // 取消注册wx的触摸监听，不然每建一个输入管理器（比如每次打开暂停菜单）就多留下四个监听
+    const handlers = this._handlers;
+    if (handlers && typeof wx.offTouchStart === 'function') {
+      wx.offTouchStart(handlers.start);
+      wx.offTouchMove(handlers.move);
+      wx.offTouchEnd(handlers.end);
+      wx.offTouchCancel(handlers.cancel);
+    }
+    this._handlers = null;
+    
+    // 回调也清掉（不支持取消注册的环境里，留下的监听至少什么都不做）
     this.onTouchStart = null;
     this.onTouchMove = null;
     this.onTouchEnd = null;
+    this.onTouchCancel = null;
+    this.onPinch = null;
   }
 }
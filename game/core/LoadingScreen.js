@@ -0,0 +1,74 @@
+/**
+ * LoadingScreen 加载画面
+ * 新游戏初始化（生成地图、生成角色图片）的时候显示，告诉玩家"正在努力加载中"
+ *
+ * 进度由正在加载的游戏在init()里报告：
+ *   await this.gameManager.reportProgress(0.5, '生成地图');
+ */
+export class LoadingScreen {
+  constructor(canvas, context) {
+    this.canvas = canvas;
+    this.context = context;
+
+    // 画面上显示的进度（慢慢追上真实进度，进度条不会一跳一跳的）
+    this.displayProgress = 0;
+
+    // 进度条大小
+    this.barWidth = canvas.width * 0.6;
+    this.barHeight = 24;
+  }
+
+  /**
+   * 重置进度（开始加载新游戏时调用）
+   */
+  reset() {
+    this.displayProgress = 0;
+  }
+
+  /**
+   * 绘制加载画面
+   * @param {number} progress - 加载进度（0~1）
+   * @param {string} message - 正在做什么
+   */
+  render(progress, message = '') {
+    const ctx = this.context;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    // 进度条每帧追上一点真实进度
+    this.displayProgress += (progress - this.displayProgress) * 0.3;
+    if (Math.abs(progress - this.displayProgress) < 0.001) {
+      this.displayProgress = progress;
+    }
+
+    // 背景
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+
+    // 标题
+    ctx.fillStyle = '#FFD700';
+    ctx.font = '40px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('加载中...', width / 2, height / 2 - 80);
+
+    // 进度条
+    const barX = (width - this.barWidth) / 2;
+    const barY = height / 2 - this.barHeight / 2;
+    ctx.fillStyle = '#333333';
+    ctx.fillRect(barX, barY, this.barWidth, this.barHeight);
+    ctx.fillStyle = '#4CAF50';
+    ctx.fillRect(barX, barY, this.barWidth * this.displayProgress, this.barHeight);
+
+    // 百分比和说明文字
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '24px Arial';
+    ctx.fillText(`${Math.round(this.displayProgress * 100)}%`, width / 2, barY + this.barHeight + 30);
+
+    if (message) {
+      ctx.fillStyle = '#AAAAAA';
+      ctx.font = '22px Arial';
+      ctx.fillText(message, width / 2, barY + this.barHeight + 70);
+    }
+  }
+}
@@ -4,7 +4,18 @@
  * 
  * 什么是Renderer？
  * 就像一支"画笔"，帮你在画布上画出游戏的所有内容
+ * 
+ * 每画一次东西都会计数（所有Renderer共用一个计数），性能分析器用它看每帧画了多少次
  */
+import { getAtlas } from './utils/TextureAtlas.js';
+import { layoutText } from './utils/TextLayout.js';
+
+// 所有Renderer一共画了多少次（由性能分析器每帧清零）
+let drawCalls = 0;
+
+// 没有指定字体时用的字体
+let defaultFontFamily = 'Arial';
+
 export class Renderer {
   constructor(canvas, context) {
     this.canvas = canvas;
@@ -15,11 +26,52 @@ export class Renderer {
     this.height = canvas.height;
   }
   
+  /**
+   * 获取绘制次数
+   * @returns {number}
+   */
+  static getDrawCalls() {
+    return drawCalls;
+  }
+  
+  /**
+   * 绘制次数清零
+   */
+  static resetDrawCalls() {
+    drawCalls = 0;
+  }
+  
+  /**
+   * 记下绘制次数
+   * 直接用 this.context 画东西（不经过下面这些方法）的地方要调用它，性能面板里的绘制次数才准
+   * @param {number} count - 画了几次（每次 fill / stroke / drawImage 算一次）
+   */
+  countDrawCalls(count = 1) {
+    drawCalls += count;
+  }
+  
+  /**
+   * 设置默认字体（所有Renderer共用）
+   * @param {string} fontFamily - 字体，比如 '"PingFang SC", sans-serif'
+   */
+  static setDefaultFontFamily(fontFamily) {
+    defaultFontFamily = fontFamily;
+  }
+  
+  /**
+   * 获取默认字体
+   * @returns {string}
+   */
+  static getDefaultFontFamily() {
+    return defaultFontFamily;
+  }
+  
   /**
    * 清空画布
    * @param {string} color - 背景颜色，默认黑色
    */
   clear(color = '#000000') {
+    drawCalls++;
     this.context.fillStyle = color;
     this.context.fillRect(0, 0, this.width, this.height);
   }
@@ -33,6 +85,7 @@ export class Renderer {
    * @param {string} color - 颜色
    */
   drawRect(x, y, width, height, color) {
+    drawCalls++;
     this.context.fillStyle = color;
     this.context.fillRect(x, y, width, height);
   }
@@ -47,6 +100,7 @@ export class Renderer {
    * @param {number} lineWidth - 线宽
    */
   drawRectStroke(x, y, width, height, color, lineWidth = 1) {
+    drawCalls++;
     this.context.strokeStyle = color;
     this.context.lineWidth = lineWidth;
     this.context.strokeRect(x, y, width, height);
@@ -60,6 +114,7 @@ export class Renderer {
    * @param {string} color - 颜色
    */
   drawCircle(x, y, radius, color) {
+    drawCalls++;
     this.context.fillStyle = color;
     this.context.beginPath();
     this.context.arc(x, y, radius, 0, Math.PI * 2);
@@ -75,6 +130,7 @@ export class Renderer {
    * @param {number} lineWidth - 线宽
    */
   drawCircleStroke(x, y, radius, color, lineWidth = 1) {
+    drawCalls++;
     this.context.strokeStyle = color;
     this.context.lineWidth = lineWidth;
     this.context.beginPath();
@@ -92,13 +148,120 @@ export class Renderer {
    * @param {string} align - 对齐方式 left/center/right
    */
   drawText(text, x, y, color = '#FFFFFF', size = 20, align = 'left') {
+    drawCalls++;
     this.context.fillStyle = color;
-    this.context.font = `${size}px Arial`;
+    this.context.font = `${size}px ${defaultFontFamily}`;
     this.context.textAlign = align;
     this.context.textBaseline = 'top';
     this.context.fillText(text, x, y);
   }
   
+  /**
+   * 绘制一段文字：可以自动换行，可以加描边和阴影
+   * 适合对话框、提示、物品说明这些比较长的文字
+   *
+   *   renderer.drawTextBlock('种子可以种在土地上，过一会儿就会长出小树。', x, y, {
+   *     maxWidth: 300, fontSize: 22, strokeColor: '#000000', strokeWidth: 3
+   *   });
+   *
+   * @param {string} text - 文本内容（\n 会强制换行）
+   * @param {number} x - X坐标（按对齐方式，是每一行的左边、中间或右边）
+   * @param {number} y - 第一行顶部的Y坐标
+   * @param {Object} options - 选项
+   * @param {string} options.color - 颜色（默认白色）
+   * @param {number} options.fontSize - 字号（默认20）
+   * @param {string} options.fontFamily - 字体（默认见 setDefaultFontFamily）
+   * @param {string} options.fontWeight - 粗细，比如 'bold'
+   * @param {string} options.fontStyle - 样式，比如 'italic'
+   * @param {string} options.align - 对齐方式 left/center/right（默认left）
+   * @param {number} options.maxWidth - 最大宽度，超过就换行（默认0，不换行）
+   * @param {string} options.wrap - 换行方式 word/char/none（默认word，英文单词不拆开）
+   * @param {number} options.lineHeight - 行高（默认字号的1.3倍）
+   * @param {number} options.maxLines - 最多几行，多出来的用"…"结尾（默认0，不限制）
+   * @param {string} options.strokeColor - 描边颜色
+   * @param {number} options.strokeWidth - 描边宽度（大于0才描边）
+   * @param {string} options.shadowColor - 阴影颜色
+   * @param {number} options.shadowBlur - 阴影模糊程度
+   * @param {number} options.shadowOffsetX - 阴影X偏移
+   * @param {number} options.shadowOffsetY - 阴影Y偏移
+   * @returns {Object} 排版结果 { lines, width, height, lineHeight }
+   */
+  drawTextBlock(text, x, y, options = {}) {
+    const layout = this.measureTextBlock(text, options);
+    const context = this.context;
+    const stroke = options.strokeWidth > 0;
+    
+    context.save();
+    context.font = this._getFont(options);
+    context.textAlign = options.align || 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = options.color || '#FFFFFF';
+    
+    if (options.shadowColor) {
+      context.shadowColor = options.shadowColor;
+      context.shadowBlur = options.shadowBlur || 0;
+      context.shadowOffsetX = options.shadowOffsetX || 0;
+      context.shadowOffsetY = options.shadowOffsetY || 0;
+    }
+    
+    if (stroke) {
+      context.strokeStyle = options.strokeColor || '#000000';
+      context.lineWidth = options.strokeWidth;
+      context.lineJoin = 'round';
+    }
+    
+    layout.lines.forEach((line, index) => {
+      const lineY = y + index * layout.lineHeight;
+      drawCalls++;
+      
+      if (stroke) {
+        // 阴影只跟着描边画一次，文字本身再画一遍阴影会显得很脏
+        context.strokeText(line.text, x, lineY);
+        context.shadowColor = 'transparent';
+        context.fillText(line.text, x, lineY);
+        context.shadowColor = options.shadowColor || 'transparent';
+      } else {
+        context.fillText(line.text, x, lineY);
+      }
+    });
+    
+    context.restore();
+    return layout;
+  }
+  
+  /**
+   * 量一段文字排版以后有多大（不画出来），选项和 drawTextBlock 一样
+   * 可以先量好再决定对话框要多大
+   * @param {string} text - 文本内容
+   * @param {Object} options - 选项
+   * @returns {Object} 排版结果 { lines, width, height, lineHeight }
+   */
+  measureTextBlock(text, options = {}) {
+    const fontSize = options.fontSize || 20;
+    
+    return layoutText(this.context, String(text), {
+      font: this._getFont(options),
+      lineHeight: options.lineHeight || Math.round(fontSize * 1.3),
+      maxWidth: options.maxWidth || 0,
+      wrap: options.wrap || 'word',
+      maxLines: options.maxLines || 0
+    });
+  }
+  
+  /**
+   * 拼出 context.font 用的字体字符串
+   * @private
+   */
+  _getFont(options) {
+    const parts = [
+      options.fontStyle,
+      options.fontWeight,
+      `${options.fontSize || 20}px`,
+      options.fontFamily || defaultFontFamily
+    ];
+    return parts.filter(Boolean).join(' ');
+  }
+  
   /**
    * 绘制图片
    * @param {Image} image - 图片对象
@@ -108,6 +271,7 @@ export class Renderer {
    * @param {number} height - 高度（可选）
    */
   drawImage(image, x, y, width, height) {
+    drawCalls++;
     if (width && height) {
       this.context.drawImage(image, x, y, width, height);
     } else {
@@ -115,6 +279,51 @@ export class Renderer {
     }
   }
   
+  /**
+   * 绘制图集里的一帧
+   * @param {TextureAtlas|string} atlas - 图集，或者用 registerAtlas 登记的名字
+   * @param {string} frameName - 帧名字
+   * @param {number} x - X坐标（左上角）
+   * @param {number} y - Y坐标（左上角）
+   * @param {Object} options - 选项
+   * @param {number} options.width - 画出来的宽度（默认和帧一样大）
+   * @param {number} options.height - 画出来的高度
+   * @param {boolean} options.flipX - 左右翻转（朝左的角色可以直接用朝右的帧）
+   * @param {number} options.alpha - 透明度 0-1
+   * @returns {boolean} 画了没有（图集还没加载或者没有这一帧时返回false）
+   */
+  drawSprite(atlas, frameName, x, y, options = {}) {
+    const source = typeof atlas === 'string' ? getAtlas(atlas) : atlas;
+    const frame = source ? source.getFrame(frameName) : null;
+    if (!frame) return false;
+    
+    drawCalls++;
+    const width = options.width || frame.width;
+    const height = options.height || frame.height;
+    const alpha = options.alpha !== undefined ? options.alpha : 1;
+    const needsState = options.flipX || alpha < 1;
+    
+    if (needsState) {
+      this.context.save();
+      this.context.globalAlpha *= alpha;
+      
+      if (options.flipX) {
+        // 以帧的右边为轴翻过来，画出来还在原来的位置
+        this.context.translate(x + width, y);
+        this.context.scale(-1, 1);
+        x = 0;
+        y = 0;
+      }
+    }
+    
+    this.context.drawImage(source.image, frame.x, frame.y, frame.width, frame.height, x, y, width, height);
+    
+    if (needsState) {
+      this.context.restore();
+    }
+    return true;
+  }
+  
   /**
    * 绘制线条
    * @param {number} x1 - 起点X坐标
@@ -125,6 +334,7 @@ export class Renderer {
    * @param {number} lineWidth - 线宽
    */
   drawLine(x1, y1, x2, y2, color, lineWidth = 1) {
+    drawCalls++;
     this.context.strokeStyle = color;
     this.context.lineWidth = lineWidth;
     this.context.beginPath();
@@ -0,0 +1,70 @@
+/**
+ * Transitions 场景过渡效果
+ * 切换游戏时，旧游戏先被慢慢"盖住"，新游戏加载好以后再慢慢"露出来"
+ *
+ * 什么是过渡效果？
+ * 就像舞台换场时拉上的幕布：幕布拉上（cover）→ 后台换布景（加载）→ 幕布拉开（reveal）
+ *
+ * 每种过渡效果都是一个绘制函数：
+ *   (context, canvas, progress, color) => {}
+ * progress 是幕布盖住画面的程度：0表示完全没盖住，1表示完全盖住
+ * 拉开幕布时progress会从1慢慢变回0，所以同一个函数两个方向都能用
+ *
+ * 想要新的效果可以自己注册：
+ *   registerTransition('circle', (context, canvas, progress, color) => { ... });
+ *   gameManager.switchGame('GridMove', { transition: 'circle' });
+ */
+
+// 名字 → 绘制函数
+const transitions = new Map();
+
+/**
+ * 注册过渡效果
+ * @param {string} name - 效果名字
+ * @param {Function} draw - 绘制函数 (context, canvas, progress, color) => {}
+ */
+export function registerTransition(name, draw) {
+  transitions.set(name, draw);
+}
+
+/**
+ * 获取过渡效果
+ * @param {string} name - 效果名字
+ * @returns {Function|null} 绘制函数
+ */
+export function getTransition(name) {
+  return transitions.get(name) || null;
+}
+
+/**
+ * 淡入淡出：整个画面慢慢变暗
+ */
+registerTransition('fade', (context, canvas, progress, color) => {
+  context.save();
+  context.globalAlpha = progress;
+  context.fillStyle = color;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.restore();
+});
+
+/**
+ * 滑动：幕布从右边滑进来
+ */
+registerTransition('slide', (context, canvas, progress, color) => {
+  const x = canvas.width * (1 - progress);
+  context.fillStyle = color;
+  context.fillRect(x, 0, canvas.width - x, canvas.height);
+});
+
+/**
+ * 擦除：幕布从上往下展开
+ */
+registerTransition('wipe', (context, canvas, progress, color) => {
+  context.fillStyle = color;
+  context.fillRect(0, 0, canvas.width, canvas.height * progress);
+});
+
+/**
+ * 没有过渡效果
+ */
+registerTransition('none', () => {});
@@ -1,4 +1,5 @@
 import { Component } from '../ecs/Component.js';
+import { registerComponent } from '../ecs/ComponentRegistry.js';
 
 /**
  * AnimationComponent 动画组件
@@ -12,13 +13,17 @@ export class AnimationComponent extends Component {
     
     // 动画集合：存储所有动画数据
     // 结构：{ animationType: { direction: [frame1, frame2, ...] } }
+    // 帧可以是图片，也可以是下面这个图集里的帧名字
     this.animations = new Map();
     
+    // 帧是名字时用的图集（registerAtlas登记的名字）
+    this.atlas = null;
+    
     // 当前播放状态
     this.currentAnimation = null;    // 当前动画名称
     this.currentDirection = 'down';  // 当前方向
     this.currentFrameIndex = 0;      // 当前帧索引
-    this.currentFrame = null;        // 当前帧的Image对象
+    this.currentFrame = null;        // 当前帧（Image对象或图集帧名字）
     
     // 播放控制
     this.isPlaying = false;          // 是否正在播放
@@ -29,8 +34,7 @@ export class AnimationComponent extends Component {
     // 时间控制
     this.frameRate = 8;              // 帧率（帧/秒）
     this.frameDuration = 1000 / this.frameRate; // 每帧持续时间（毫秒）
-    this.lastFrameTime = 0;          // 上一帧的时间戳
-    this.elapsedTime = 0;            // 累计时间
+    this.elapsedTime = 0;            // 累计时间（由update的deltaTime累加，跟着世界时钟走）
     
     // 回调函数
     this.onAnimationComplete = null; // 动画完成回调
@@ -116,7 +120,6 @@ export class AnimationComponent extends Component {
     this.currentDirection = targetDirection;
     this.currentFrameIndex = 0;
     this.elapsedTime = 0;
-    this.lastFrameTime = Date.now();
     
     // 获取动画数据
     const animationData = this.animations.get(name).get(targetDirection);
@@ -159,7 +162,6 @@ export class AnimationComponent extends Component {
   resume() {
     if (this.isPaused) {
       this.isPaused = false;
-      this.lastFrameTime = Date.now();
       if (this.debug) {
         console.log(`▶️ 恢复动画: ${this.currentAnimation}-${this.currentDirection}`);
       }
@@ -204,7 +206,7 @@ export class AnimationComponent extends Component {
    * @private
    */
   _nextFrame() {
-    if (!this.currentAnimation) return;
+    if (!this.hasAnimation(this.currentAnimation, this.currentDirection)) return;
     
     const animationData = this.animations.get(this.currentAnimation).get(this.currentDirection);
     const totalFrames = animationData.frames.length;
@@ -246,7 +248,7 @@ export class AnimationComponent extends Component {
    * @private
    */
   _updateCurrentFrame() {
-    if (!this.currentAnimation) return;
+    if (!this.hasAnimation(this.currentAnimation, this.currentDirection)) return;
     
     const animationData = this.animations.get(this.currentAnimation).get(this.currentDirection);
     this.currentFrame = animationData.frames[this.currentFrameIndex];
@@ -370,6 +372,38 @@ export class AnimationComponent extends Component {
     };
   }
 
+  /**
+   * 导出动画的播放状态
+   * 动画帧图片不存档，读档后由游戏重新添加动画数据；图集只存名字，读档后还能接着用
+   * @returns {Object} 播放状态
+   */
+  serialize() {
+    return {
+      atlas: this.atlas,
+      currentAnimation: this.currentAnimation,
+      currentDirection: this.currentDirection,
+      currentFrameIndex: this.currentFrameIndex,
+      isPlaying: this.isPlaying,
+      isPaused: this.isPaused,
+      loop: this.loop,
+      playbackSpeed: this.playbackSpeed,
+      frameRate: this.frameRate,
+      frameDuration: this.frameDuration,
+      elapsedTime: this.elapsedTime
+    };
+  }
+
+  /**
+   * 恢复动画的播放状态
+   * @param {Object} data - serialize()导出的播放状态
+   */
+  deserialize(data) {
+    super.deserialize(data);
+    
+    // 如果动画数据已经有了，同步一下当前帧
+    this._updateCurrentFrame();
+  }
+
   /**
    * 销毁组件，清理资源
    */
@@ -390,4 +424,6 @@ export class AnimationComponent extends Component {
     
     super.destroy();
   }
-}
\ No newline at end of file
+}
+
+registerComponent('AnimationComponent', AnimationComponent);
\ No newline at end of file
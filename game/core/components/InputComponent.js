@@ -1,4 +1,5 @@
 import { Component } from '../ecs/Component.js';
+import { registerComponent } from '../ecs/ComponentRegistry.js';
 
 /**
  * InputComponent 输入组件
@@ -49,3 +50,5 @@ export class InputComponent extends Component {
     this.onTouchEnd = callback;
   }
 }
+
+registerComponent('InputComponent', InputComponent);
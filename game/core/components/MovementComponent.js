@@ -1,4 +1,5 @@
 import { Component } from '../ecs/Component.js';
+import { registerComponent } from '../ecs/ComponentRegistry.js';
 
 /**
  * MovementComponent 移动组件
@@ -28,6 +29,21 @@ export class MovementComponent extends Component {
     this.moving = false;
   }
   
+  /**
+   * 重置组件（对象池复用时调用）
+   * @param {number} speed - 移动速度
+   */
+  reset(speed = 0) {
+    this.entityId = null;
+    this.speed = speed;
+    this.direction = 0;
+    this.velocityX = 0;
+    this.velocityY = 0;
+    this.targetX = null;
+    this.targetY = null;
+    this.moving = false;
+  }
+  
   /**
    * 设置速度
    * @param {number} speed - 速度值
@@ -89,3 +105,5 @@ export class MovementComponent extends Component {
     this.moving = false;
   }
 }
+
+registerComponent('MovementComponent', MovementComponent);
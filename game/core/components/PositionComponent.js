@@ -1,4 +1,6 @@
 import { Component } from '../ecs/Component.js';
+import { registerComponent } from '../ecs/ComponentRegistry.js';
+import { MovementComponent } from './MovementComponent.js';
 
 /**
  * PositionComponent 位置组件
@@ -6,6 +8,9 @@ import { Component } from '../ecs/Component.js';
  * 
  * 这是最基础的组件之一
  * 只要实体需要在屏幕上显示，就需要这个组件来记录它的位置
+ * 
+ * 如果实体有父实体，x和y是相对父实体的坐标（本地坐标），
+ * 用 getWorldPosition(entity) 可以算出它在世界里的真正位置
  */
 export class PositionComponent extends Component {
   constructor(x = 0, y = 0) {
@@ -16,16 +21,59 @@ export class PositionComponent extends Component {
     
     // 实体的Y坐标
     this.y = y;
+    
+    // 上一步逻辑更新前的位置（用于渲染插值，让画面在两步之间平滑过渡）
+    this.prevX = x;
+    this.prevY = y;
+  }
+  
+  /**
+   * 重置组件（对象池复用时调用）
+   * @param {number} x - X坐标
+   * @param {number} y - Y坐标
+   */
+  reset(x = 0, y = 0) {
+    this.entityId = null;
+    this.setPosition(x, y);
   }
   
   /**
-   * 设置位置
+   * 设置位置（瞬移，不做插值）
    * @param {number} x - X坐标
    * @param {number} y - Y坐标
    */
   setPosition(x, y) {
     this.x = x;
     this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+  }
+  
+  /**
+   * 记住当前位置，作为下一步的"上一步位置"
+   * 移动系统在每一步移动之前调用
+   */
+  savePrevious() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+  
+  /**
+   * 获取插值后的X坐标
+   * @param {number} alpha - 插值系数（0=上一步的位置，1=当前位置）
+   * @returns {number}
+   */
+  interpolateX(alpha) {
+    return this.prevX + (this.x - this.prevX) * alpha;
+  }
+  
+  /**
+   * 获取插值后的Y坐标
+   * @param {number} alpha - 插值系数（0=上一步的位置，1=当前位置）
+   * @returns {number}
+   */
+  interpolateY(alpha) {
+    return this.prevY + (this.y - this.prevY) * alpha;
   }
   
   /**
@@ -38,3 +86,32 @@ export class PositionComponent extends Component {
     this.y += dy;
   }
 }
+
+/**
+ * 计算实体在世界里的位置（把所有父实体的位置加起来）
+ * 会移动的实体（有MovementComponent）按alpha在上一步和这一步之间插值
+ * @param {Entity} entity - 实体
+ * @param {number} alpha - 渲染插值系数（0~1，默认1表示当前位置）
+ * @returns {Object} { x, y }
+ */
+export function getWorldPosition(entity, alpha = 1) {
+  let x = 0;
+  let y = 0;
+  
+  for (let current = entity; current; current = current.parent) {
+    const position = current.getComponent(PositionComponent);
+    if (!position) continue;
+    
+    if (current.hasComponent(MovementComponent)) {
+      x += position.interpolateX(alpha);
+      y += position.interpolateY(alpha);
+    } else {
+      x += position.x;
+      y += position.y;
+    }
+  }
+  
+  return { x, y };
+}
+
+registerComponent('PositionComponent', PositionComponent);
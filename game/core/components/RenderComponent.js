@@ -1,4 +1,5 @@
 import { Component } from '../ecs/Component.js';
+import { registerComponent } from '../ecs/ComponentRegistry.js';
 
 /**
  * RenderComponent 渲染组件
@@ -10,7 +11,7 @@ export class RenderComponent extends Component {
   constructor(type = 'rect', options = {}) {
     super();
     
-    // 渲染类型：rect（矩形）、circle（圆形）、image（图片）、text（文本）
+    // 渲染类型：rect（矩形）、circle（圆形）、image（图片）、sprite（图集里的一帧）、text（文本）
     this.type = type;
     
     // 颜色
@@ -24,11 +25,21 @@ export class RenderComponent extends Component {
     // 图片（如果type是image）
     this.image = options.image || null;
     
+    // 图集名字和帧名字（如果type是sprite，画出来的大小还是width和height）
+    // 图集用registerAtlas登记，这里只存名字
+    this.atlas = options.atlas || null;
+    this.frame = options.frame || '';
+    
     // 文本（如果type是text）
     this.text = options.text || '';
     this.fontSize = options.fontSize || 20;
     this.textAlign = options.textAlign || 'center';
     
+    // 文字的更多样式（换行宽度、行高、描边、阴影、字体等，写法见 Renderer.drawTextBlock）
+    // 这里写的 color、fontSize 比上面的 color、fontSize 优先
+    // 比如 { maxWidth: 300, strokeColor: '#000000', strokeWidth: 3 }
+    this.textStyle = options.textStyle || null;
+    
     // 透明度
     this.alpha = options.alpha !== undefined ? options.alpha : 1;
     
@@ -73,3 +84,22 @@ export class RenderComponent extends Component {
     this.visible = visible;
   }
 }
+
+/**
+ * 检查实体在层级里是否可见
+ * 只要自己或者任何一个父实体被隐藏了，实体就看不见
+ * @param {Entity} entity - 实体
+ * @returns {boolean}
+ */
+export function isVisibleInHierarchy(entity) {
+  for (let current = entity; current; current = current.parent) {
+    const render = current.getComponent(RenderComponent);
+    if (render && !render.visible) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+registerComponent('RenderComponent', RenderComponent);
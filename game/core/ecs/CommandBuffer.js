@@ -0,0 +1,122 @@
+/**
+ * CommandBuffer 命令缓冲区
+ * 把系统在update过程中想做的"增删改"先记下来，等这一帧的系统都跑完再统一执行
+ *
+ * 为什么需要命令缓冲区？
+ * 系统在遍历实体列表时，如果直接删除实体或者增删组件，
+ * 正在遍历的列表就会被改掉，导致有的实体被跳过、有的被处理两次。
+ * 就像老师点名时有同学中途换座位，名单就乱套了！
+ * 所以我们先把"换座位"的请求记在本子上，点完名再一起处理。
+ */
+import { Entity } from './Entity.js';
+
+export class CommandBuffer {
+  /**
+   * @param {World} world - 命令最终要作用的世界
+   */
+  constructor(world) {
+    this.world = world;
+
+    // 等待执行的命令列表（按记录顺序执行）
+    this.commands = [];
+  }
+
+  /**
+   * 创建一个实体，帧末才加入世界
+   * 返回的实体可以立即添加组件，加入世界时会一起生效
+   * @returns {Entity} 新实体
+   */
+  createEntity() {
+    const entity = new Entity();
+    this.commands.push({ type: 'create', entity });
+    return entity;
+  }
+
+  /**
+   * 帧末销毁实体
+   * @param {Entity} entity - 要销毁的实体
+   */
+  destroyEntity(entity) {
+    this.commands.push({ type: 'destroy', entity });
+    return this;
+  }
+
+  /**
+   * 帧末给实体添加组件
+   * @param {Entity} entity - 目标实体
+   * @param {Component} component - 要添加的组件
+   */
+  addComponent(entity, component) {
+    this.commands.push({ type: 'addComponent', entity, component });
+    return this;
+  }
+
+  /**
+   * 帧末移除实体的组件
+   * @param {Entity} entity - 目标实体
+   * @param {Function} ComponentClass - 组件类
+   */
+  removeComponent(entity, ComponentClass) {
+    this.commands.push({ type: 'removeComponent', entity, ComponentClass });
+    return this;
+  }
+
+  /**
+   * 是否有等待执行的命令
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.commands.length === 0;
+  }
+
+  /**
+   * 执行所有命令
+   * 执行过程中新记录的命令（比如组件init里又创建了实体）也会在这次一起执行
+   */
+  flush() {
+    while (this.commands.length > 0) {
+      const commands = this.commands;
+      this.commands = [];
+
+      for (const command of commands) {
+        this._execute(command);
+      }
+    }
+  }
+
+  /**
+   * 执行单条命令
+   * @param {Object} command - 命令
+   * @private
+   */
+  _execute(command) {
+    const { entity } = command;
+
+    switch (command.type) {
+      case 'create':
+        this.world.addEntity(entity);
+        break;
+      case 'destroy':
+        this.world.removeEntity(entity);
+        break;
+      case 'addComponent':
+        // 实体已经被销毁就不再添加
+        if (entity.active) {
+          entity.addComponent(command.component);
+        }
+        break;
+      case 'removeComponent':
+        entity.removeComponent(command.ComponentClass);
+        break;
+      default:
+        console.warn(`未知的命令类型: ${command.type}`);
+    }
+  }
+
+  /**
+   * 丢弃所有未执行的命令
+   */
+  clear() {
+    this.commands = [];
+  }
+}
@@ -5,7 +5,43 @@
  * 什么是组件？
  * 就像给角色添加不同的"标签"或"属性"
  * 比如：位置组件记录角色在哪里，渲染组件记录角色长什么样
+ * 
+ * 组件要能被存档，需要满足两点：
+ * 1. 在文件末尾用 registerComponent 登记一个固定的名字
+ * 2. 不传参数也能new出来（读档时先new一个空组件，再用deserialize填数据）
+ */
+
+/**
+ * 把数据复制成可以存成JSON的纯数据
+ * 函数、图片、Map等没法存档的值会被跳过（返回undefined）
+ * @param {*} value - 要复制的值
+ * @returns {*} 复制后的纯数据
  */
+function cloneData(value) {
+  if (typeof value === 'function') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const copy = cloneData(item);
+      return copy === undefined ? null : copy;
+    });
+  }
+  
+  // 只复制普通对象，图片、Canvas、Map这类对象跳过
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) return undefined;
+  
+  const result = {};
+  for (const key of Object.keys(value)) {
+    const copy = cloneData(value[key]);
+    if (copy !== undefined) {
+      result[key] = copy;
+    }
+  }
+  return result;
+}
+
 export class Component {
   constructor() {
     // 组件所属的实体ID
@@ -27,4 +63,47 @@ export class Component {
   destroy() {
     // 子类可以重写这个方法来清理资源
   }
+  
+  /**
+   * 重置组件（从对象池取出来复用时调用）
+   * 参数和构造函数一样，要把组件恢复成"刚new出来"的样子
+   * 默认做法是new一个临时组件再把数据抄过来；
+   * 经常复用的组件最好重写它，直接给字段赋值，连这次new也省掉
+   * @param {...*} args - 构造函数的参数
+   */
+  reset(...args) {
+    Object.assign(this, new this.constructor(...args));
+  }
+  
+  /**
+   * 把组件数据导出成可以存成JSON的纯数据
+   * 默认导出所有数字、字符串、布尔值、数组和普通对象，跳过函数、图片等
+   * 子类有特殊数据时可以重写
+   * @returns {Object}
+   */
+  serialize() {
+    const data = {};
+    
+    for (const key of Object.keys(this)) {
+      // 实体ID由存档里的实体记录，不属于组件数据
+      if (key === 'entityId') continue;
+      
+      const value = cloneData(this[key]);
+      if (value !== undefined) {
+        data[key] = value;
+      }
+    }
+    
+    return data;
+  }
+  
+  /**
+   * 用serialize导出的数据恢复组件
+   * @param {Object} data - 组件数据
+   */
+  deserialize(data) {
+    for (const key of Object.keys(data)) {
+      this[key] = cloneData(data[key]);
+    }
+  }
 }
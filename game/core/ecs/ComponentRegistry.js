@@ -0,0 +1,50 @@
+/**
+ * ComponentRegistry 组件注册表
+ * 给每个组件类起一个固定的名字，保存存档时记名字，读取存档时再根据名字找回组件类
+ *
+ * 为什么不直接用类名（ComponentClass.name）？
+ * 小游戏发布时代码会被压缩，类名可能变成 a、b、c，
+ * 今天存的档明天就读不出来了！所以每个组件要自己登记一个不会变的名字。
+ *
+ * 用法（写在组件文件的最后）：
+ *   registerComponent('PositionComponent', PositionComponent);
+ */
+
+// 名字 → 组件类
+const componentClassesByName = new Map();
+
+// 组件类 → 名字
+const componentNamesByClass = new Map();
+
+/**
+ * 注册组件类
+ * @param {string} name - 组件名字（存档里使用，发布后不要再改）
+ * @param {Function} ComponentClass - 组件类
+ */
+export function registerComponent(name, ComponentClass) {
+  const existing = componentClassesByName.get(name);
+  if (existing && existing !== ComponentClass) {
+    throw new Error(`组件名字 "${name}" 已经被其他组件使用了`);
+  }
+
+  componentClassesByName.set(name, ComponentClass);
+  componentNamesByClass.set(ComponentClass, name);
+}
+
+/**
+ * 根据名字获取组件类
+ * @param {string} name - 组件名字
+ * @returns {Function|null}
+ */
+export function getComponentClass(name) {
+  return componentClassesByName.get(name) || null;
+}
+
+/**
+ * 获取组件类注册的名字
+ * @param {Function} ComponentClass - 组件类
+ * @returns {string|null}
+ */
+export function getComponentName(ComponentClass) {
+  return componentNamesByClass.get(ComponentClass) || null;
+}
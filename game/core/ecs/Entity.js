@@ -10,6 +10,17 @@
 // 用于生成唯一的实体ID
 let nextEntityId = 1;
 
+/**
+ * 保证之后新建的实体ID都比id大
+ * 读档时实体会恢复原来的ID，需要调用它避免新实体和读出来的实体ID重复
+ * @param {number} id - 已经被使用的ID
+ */
+export function reserveEntityIds(id) {
+  if (id >= nextEntityId) {
+    nextEntityId = id + 1;
+  }
+}
+
 export class Entity {
   constructor() {
     // 每个实体都有一个唯一的ID
@@ -21,10 +32,53 @@ export class Entity {
     
     // 标记实体是否激活
     this.active = true;
+    
+    // 实体所属的世界（加入World时由World设置，移除时清空）
+    this.world = null;
+    
+    // 父实体和子实体
+    // 有父实体时，位置组件里的坐标是相对父实体的（本地坐标），
+    // 父实体移动时子实体跟着移动，父实体被销毁时子实体也一起销毁
+    this.parent = null;
+    this.children = [];
+    
+    // 组件变化监听函数（由World设置，用于维护查询缓存和触发组件钩子）
+    // (entity, addedComponents, removedComponents) => {}
+    this.onComponentsChanged = null;
+    
+    // 是否来自World的对象池（从World移除后会被放回池里复用）
+    this.pooled = false;
+  }
+  
+  /**
+   * 重置实体（从对象池取出来复用时由World调用）
+   * 会分配一个新的ID，这样旧ID不会指到一个已经"换了人"的实体；组件Map留着继续用
+   */
+  reset() {
+    this.id = nextEntityId++;
+    this.components.clear();
+    this.active = true;
+    this.world = null;
+    this.parent = null;
+    this.children.length = 0;
+    this.onComponentsChanged = null;
+  }
+  
+  /**
+   * 通知监听者组件发生了变化
+   * @param {Array<Component>} added - 新添加的组件
+   * @param {Array<Component>} removed - 被移除的组件
+   * @private
+   */
+  _notifyComponentsChanged(added, removed) {
+    if (this.onComponentsChanged) {
+      this.onComponentsChanged(this, added, removed);
+    }
   }
   
   /**
    * 添加组件到实体
+   * 如果已经有同类型的组件，旧组件会被销毁并替换掉
    * @param {Component} component - 要添加的组件实例
    */
   addComponent(component) {
@@ -32,6 +86,13 @@ export class Entity {
     // 这样可以避免代码压缩后类名变化导致的问题
     const ComponentClass = component.constructor;
     
+    // 替换同类型的旧组件
+    const previous = this.components.get(ComponentClass);
+    const replaced = previous && previous !== component ? previous : null;
+    if (replaced) {
+      replaced.destroy();
+    }
+    
     // 将组件存储到Map中
     this.components.set(ComponentClass, component);
     
@@ -41,6 +102,8 @@ export class Entity {
     // 初始化组件
     component.init();
     
+    this._notifyComponentsChanged([component], replaced ? [replaced] : []);
+    
     return this;
   }
   
@@ -74,17 +137,83 @@ export class Entity {
       component.destroy();
       // 从Map中移除
       this.components.delete(ComponentClass);
+      
+      this._notifyComponentsChanged([], [component]);
     }
     
     return this;
   }
   
+  /**
+   * 设置父实体
+   * 设置后位置组件的坐标会被当作相对父实体的坐标
+   * @param {Entity|null} parent - 父实体，传null表示取消父实体
+   */
+  setParent(parent) {
+    parent = parent || null;
+    if (parent === this.parent) return this;
+    
+    // 不能把自己或者自己的子孙设为父实体，否则会绕成一个圈
+    for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === this) {
+        console.warn(`实体${this.id}不能把自己的子孙设为父实体`);
+        return this;
+      }
+    }
+    
+    if (this.parent) {
+      const index = this.parent.children.indexOf(this);
+      if (index !== -1) {
+        this.parent.children.splice(index, 1);
+      }
+    }
+    
+    this.parent = parent;
+    
+    if (parent) {
+      parent.children.push(this);
+    }
+    
+    return this;
+  }
+  
+  /**
+   * 添加子实体
+   * @param {Entity} child - 子实体
+   */
+  addChild(child) {
+    child.setParent(this);
+    return this;
+  }
+  
+  /**
+   * 移除子实体（子实体不会被销毁，只是不再跟随）
+   * @param {Entity} child - 子实体
+   */
+  removeChild(child) {
+    if (child.parent === this) {
+      child.setParent(null);
+    }
+    return this;
+  }
+  
   /**
    * 销毁实体，移除所有组件
+   * 子实体会一起被销毁
    */
   destroy() {
+    // 先销毁子实体
+    for (const child of this.children.slice()) {
+      child.destroy();
+    }
+    
+    // 离开父实体
+    this.setParent(null);
+    
+    const removed = Array.from(this.components.values());
+    
     // 销毁所有组件
-    for (const component of this.components.values()) {
+    for (const component of removed) {
       component.destroy();
     }
     
@@ -93,5 +222,7 @@ export class Entity {
     
     // 标记为非激活
     this.active = false;
+    
+    this._notifyComponentsChanged([], removed);
   }
 }
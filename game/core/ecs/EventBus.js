@@ -0,0 +1,175 @@
+/**
+ * EventBus 事件总线
+ * 系统之间通过"发消息"来交流，而不是直接修改对方的属性
+ *
+ * 什么是事件总线？
+ * 就像学校的广播站：收集系统捡到金币后只管广播"有人捡到金币啦！"，
+ * 至于是UI去更新数字、音效去播放"叮"、还是特效去放烟花，
+ * 收集系统完全不需要知道，谁感兴趣谁就去订阅这个广播。
+ *
+ * 事件默认是"排队发送"的：emit()时先放进队列，
+ * 等World在帧末调用flush()时再统一通知订阅者，
+ * 这样订阅者不会在别的系统遍历实体的半路上被打断。
+ */
+
+/**
+ * World内置的事件类型
+ * 事件名使用"对象:动作"的格式，方便一眼看出是谁发生了什么
+ */
+export const WORLD_EVENTS = {
+  // 实体加入世界 { entity }
+  ENTITY_CREATED: 'entity:created',
+  // 实体从世界中移除 { entity, entityId }
+  ENTITY_DESTROYED: 'entity:destroyed'
+};
+
+export class EventBus {
+  constructor() {
+    // 订阅者表：key是事件类型，value是订阅者数组 [{ handler, owner }]
+    this.listeners = new Map();
+
+    // 等待发送的事件队列
+    this.queue = [];
+  }
+
+  /**
+   * 订阅事件
+   * @param {string} type - 事件类型
+   * @param {Function} handler - 回调函数 (payload, type) => {}
+   * @param {Object} owner - 订阅者（可选），之后可以用offByOwner一次性取消它的所有订阅
+   * @returns {Function} 调用即可取消这次订阅
+   */
+  on(type, handler, owner = null) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+
+    const listener = { handler, owner };
+    this.listeners.get(type).push(listener);
+
+    // 只取消这一条订阅（同一个回调被别人也订阅了的话，别人的不受影响）
+    return () => this._removeListener(type, listener);
+  }
+
+  /**
+   * 取消订阅
+   * @param {string} type - 事件类型
+   * @param {Function} handler - 订阅时传入的回调函数
+   */
+  off(type, handler) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    this._setListeners(type, listeners.filter(listener => listener.handler !== handler));
+  }
+
+  /**
+   * 取消某一条订阅记录
+   * @param {string} type - 事件类型
+   * @param {Object} record - on()时放进去的 { handler, owner }
+   * @private
+   */
+  _removeListener(type, record) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    this._setListeners(type, listeners.filter(listener => listener !== record));
+  }
+
+  /**
+   * 换上新的订阅者数组，没有订阅者了就删掉这个事件类型
+   * 生成新数组而不是原地删除，正在派发的事件不会受影响
+   * @private
+   */
+  _setListeners(type, remaining) {
+    if (remaining.length > 0) {
+      this.listeners.set(type, remaining);
+    } else {
+      this.listeners.delete(type);
+    }
+  }
+
+  /**
+   * 取消某个订阅者的所有订阅
+   * 系统被移除时World会自动调用
+   * @param {Object} owner - 订阅者
+   */
+  offByOwner(owner) {
+    if (!owner) return;
+
+    for (const [type, listeners] of this.listeners.entries()) {
+      this._setListeners(type, listeners.filter(listener => listener.owner !== owner));
+    }
+  }
+
+  /**
+   * 发送事件（排队，等flush时统一派发）
+   * @param {string} type - 事件类型
+   * @param {Object} payload - 事件数据
+   */
+  emit(type, payload = {}) {
+    this.queue.push({ type, payload });
+  }
+
+  /**
+   * 立即发送事件（不排队）
+   * 只在确定订阅者可以马上处理时使用
+   * @param {string} type - 事件类型
+   * @param {Object} payload - 事件数据
+   */
+  emitNow(type, payload = {}) {
+    this._dispatch(type, payload);
+  }
+
+  /**
+   * 派发队列中的所有事件
+   * 派发过程中新发送的事件会留到下一次flush，避免事件无限连锁
+   */
+  flush() {
+    if (this.queue.length === 0) return;
+
+    const events = this.queue;
+    this.queue = [];
+
+    for (const event of events) {
+      this._dispatch(event.type, event.payload);
+    }
+  }
+
+  /**
+   * 把事件交给所有订阅者
+   * @param {string} type - 事件类型
+   * @param {Object} payload - 事件数据
+   * @private
+   */
+  _dispatch(type, payload) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    for (const listener of listeners) {
+      try {
+        listener.handler(payload, type);
+      } catch (error) {
+        // 某个订阅者出错不应该影响其他订阅者
+        console.error(`事件处理出错: ${type}`, error);
+      }
+    }
+  }
+
+  /**
+   * 检查某个事件是否有订阅者
+   * @param {string} type - 事件类型
+   * @returns {boolean}
+   */
+  hasListeners(type) {
+    return this.listeners.has(type);
+  }
+
+  /**
+   * 清空所有订阅和未派发的事件
+   */
+  clear() {
+    this.listeners.clear();
+    this.queue = [];
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Prefab 预制体
+ * 用数据描述"一个实体由哪些组件组成"，需要时一句话就能创建出来
+ *
+ * 什么是预制体？
+ * 就像做饼干用的模具：模具（预制体）只要做一次，
+ * 之后想要多少块饼干（实体）都可以直接"印"出来，
+ * 还可以换不同的馅（参数），比如金币放在不同的位置。
+ *
+ * 用法：
+ *   registerPrefab('coin', {
+ *     defaults: { gridX: 0, gridY: 0, color: '#FFD700' },
+ *     components: [
+ *       { type: PositionComponent, args: ['$x', '$y'] },
+ *       { type: ItemComponent, args: ['coin', '$gridX', '$gridY', { color: '$color' }] }
+ *     ]
+ *   });
+ *
+ *   world.spawn('coin', { gridX: 3, gridY: 5 });
+ *
+ * 预制体定义里可以写：
+ * - extends: 继承另一个预制体（合并defaults，同类型的组件会被覆盖）
+ * - defaults: 参数的默认值，spawn时传入的参数会覆盖它们
+ * - prepare(params): 根据参数算出更多参数（比如用网格坐标算像素坐标），返回要补充的参数
+ * - components: 组件列表
+ *   - type: 组件类，或者用registerComponent登记的组件名字
+ *   - args: 构造函数的参数，'$名字' 会被替换成对应的参数值
+ *   - when / unless: 参数名，这个参数为真（或为假）时才添加这个组件
+ * - onSpawn(entity, params, world): 实体创建完成后调用，做一些数据描述不了的设置
+ * - pooled: 为true时实体和组件从World的对象池里取，移除后放回池里（适合频繁刷新的东西）
+ *
+ * spawn时传入参数 parent（一个实体），新实体会成为它的子实体
+ */
+import { Entity } from './Entity.js';
+import { getComponentClass } from './ComponentRegistry.js';
+
+// 名字 → 预制体定义
+const prefabs = new Map();
+
+/**
+ * 注册预制体
+ * @param {string} name - 预制体名字
+ * @param {Object} definition - 预制体定义
+ */
+export function registerPrefab(name, definition) {
+  if (prefabs.has(name)) {
+    throw new Error(`预制体 "${name}" 已经注册过了`);
+  }
+
+  prefabs.set(name, definition);
+}
+
+/**
+ * 检查预制体是否已注册
+ * @param {string} name - 预制体名字
+ * @returns {boolean}
+ */
+export function hasPrefab(name) {
+  return prefabs.has(name);
+}
+
+/**
+ * 用预制体创建实体并加入世界
+ * 一般通过 world.spawn(name, overrides) 调用
+ * @param {World} world - 要加入的世界
+ * @param {string} name - 预制体名字
+ * @param {Object} overrides - 覆盖默认值的参数
+ * @returns {Entity} 新创建的实体
+ */
+export function instantiatePrefab(world, name, overrides = {}) {
+  const definition = resolvePrefab(name);
+
+  // 合并参数：默认值 < spawn传入的参数 < prepare算出来的参数
+  let params = { ...definition.defaults, ...overrides };
+  for (const prepare of definition.prepares) {
+    params = { ...params, ...prepare(params) };
+  }
+
+  // 先把组件都装好，再一次性加入世界，查询缓存只需要更新一次
+  const entity = definition.pooled ? world.acquireEntity() : new Entity();
+
+  for (const entry of definition.components) {
+    if (entry.when && !params[entry.when]) continue;
+    if (entry.unless && params[entry.unless]) continue;
+
+    const ComponentClass = typeof entry.type === 'string'
+      ? getComponentClass(entry.type)
+      : entry.type;
+
+    if (!ComponentClass) {
+      throw new Error(`预制体 "${name}" 使用了未注册的组件: ${entry.type}`);
+    }
+
+    const args = substituteParams(entry.args || [], params);
+    entity.addComponent(definition.pooled
+      ? world.acquireComponent(ComponentClass, ...args)
+      : new ComponentClass(...args));
+  }
+
+  if (params.parent) {
+    entity.setParent(params.parent);
+  }
+
+  world.addEntity(entity);
+
+  for (const onSpawn of definition.onSpawns) {
+    onSpawn(entity, params, world);
+  }
+
+  return entity;
+}
+
+/**
+ * 展开预制体的继承关系，得到完整的定义
+ * @param {string} name - 预制体名字
+ * @param {Set} visiting - 正在展开的预制体（用于发现循环继承）
+ * @returns {Object} { defaults, prepares, components, onSpawns, pooled }
+ */
+function resolvePrefab(name, visiting = new Set()) {
+  const definition = prefabs.get(name);
+  if (!definition) {
+    throw new Error(`未注册的预制体: ${name}`);
+  }
+
+  if (visiting.has(name)) {
+    throw new Error(`预制体 "${name}" 出现了循环继承`);
+  }
+  visiting.add(name);
+
+  const base = definition.extends
+    ? resolvePrefab(definition.extends, visiting)
+    : { defaults: {}, prepares: [], components: [], onSpawns: [], pooled: false };
+
+  // 子预制体里同类型的组件会替换掉父预制体的
+  // （用when/unless按条件添加的组件不参与替换，它们本来就可能有好几个同类型的）
+  const ownComponents = definition.components || [];
+  const replacedTypes = new Set(
+    ownComponents.filter(entry => !entry.when && !entry.unless).map(entry => entry.type)
+  );
+
+  return {
+    defaults: { ...base.defaults, ...definition.defaults },
+    prepares: definition.prepare ? [...base.prepares, definition.prepare] : base.prepares,
+    components: [
+      ...base.components.filter(entry => !replacedTypes.has(entry.type)),
+      ...ownComponents
+    ],
+    onSpawns: definition.onSpawn ? [...base.onSpawns, definition.onSpawn] : base.onSpawns,
+    pooled: definition.pooled !== undefined ? definition.pooled : base.pooled
+  };
+}
+
+/**
+ * 把参数里的 '$名字' 替换成真正的参数值
+ * 数组和普通对象会逐层替换；值是undefined的对象属性会被去掉，让组件使用自己的默认值
+ * @param {*} value - 要替换的值
+ * @param {Object} params - 参数
+ * @returns {*} 替换后的值
+ */
+function substituteParams(value, params) {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    return params[value.slice(1)];
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => substituteParams(item, params));
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      const replaced = substituteParams(value[key], params);
+      if (replaced !== undefined) {
+        result[key] = replaced;
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
@@ -0,0 +1,153 @@
+/**
+ * Query 实体查询
+ * 缓存"拥有某些组件"的实体列表，由World在组件变化时增量维护
+ *
+ * 什么是Query？
+ * 就像一个"花名册"，提前记下哪些实体符合条件
+ * 系统每帧直接拿花名册干活，不用再把所有实体挨个翻一遍
+ * 
+ * 查询条件可以是一个组件数组（必须全部拥有），也可以是一个对象：
+ *   {
+ *     all: [PositionComponent, RenderComponent],   // 必须全部拥有
+ *     anyOf: [CircleShape, RectShape],             // 至少拥有其中一个
+ *     without: [ItemComponent]                     // 一个都不能有
+ *   }
+ */
+
+// 组件类型ID表：给每个组件类分配一个数字ID，用来拼接查询的key
+// 使用类引用本身作为key，避免代码压缩后类名变化导致的问题
+const componentTypeIds = new Map();
+let nextComponentTypeId = 1;
+
+/**
+ * 获取组件类的类型ID
+ * @param {Function} ComponentClass - 组件类
+ * @returns {number} 类型ID
+ */
+export function getComponentTypeId(ComponentClass) {
+  let id = componentTypeIds.get(ComponentClass);
+  if (id === undefined) {
+    id = nextComponentTypeId++;
+    componentTypeIds.set(ComponentClass, id);
+  }
+  return id;
+}
+
+/**
+ * 把查询条件整理成统一的格式
+ * @param {Array<Function>|Object} filter - 组件数组，或 { all, anyOf, without }
+ * @returns {Object} { all, anyOf, without }
+ */
+export function normalizeFilter(filter) {
+  if (Array.isArray(filter)) {
+    return { all: filter.slice(), anyOf: [], without: [] };
+  }
+
+  return {
+    all: (filter.all || []).slice(),
+    anyOf: (filter.anyOf || []).slice(),
+    without: (filter.without || []).slice()
+  };
+}
+
+/**
+ * 检查实体是否符合查询条件
+ * @param {Entity} entity - 要检查的实体
+ * @param {Object} filter - normalizeFilter整理过的查询条件
+ * @returns {boolean}
+ */
+export function matchesFilter(entity, filter) {
+  const { all, anyOf, without } = filter;
+
+  return all.every(ComponentClass => entity.hasComponent(ComponentClass)) &&
+    (anyOf.length === 0 || anyOf.some(ComponentClass => entity.hasComponent(ComponentClass))) &&
+    !without.some(ComponentClass => entity.hasComponent(ComponentClass));
+}
+
+export class Query {
+  /**
+   * @param {Array<Function>|Object} filter - 组件数组，或 { all, anyOf, without }
+   */
+  constructor(filter) {
+    // 查询条件
+    const { all, anyOf, without } = normalizeFilter(filter);
+    this.all = all;
+    this.anyOf = anyOf;
+    this.without = without;
+
+    // 符合条件的实体列表（保持加入顺序）
+    this.entities = [];
+
+    // 用Set快速判断实体是否已在列表中
+    this.entitySet = new Set();
+  }
+
+  /**
+   * 根据查询条件生成查询的唯一key
+   * 组件顺序不同但内容相同的查询会共用同一个缓存
+   * @param {Array<Function>|Object} filter - 组件数组，或 { all, anyOf, without }
+   * @returns {string}
+   */
+  static createKey(filter) {
+    const { all, anyOf, without } = normalizeFilter(filter);
+    const toIds = components => components
+      .map(ComponentClass => getComponentTypeId(ComponentClass))
+      .sort((a, b) => a - b)
+      .join(',');
+
+    // 只有all的查询保持简单的key，比如 "1,2"
+    let key = toIds(all);
+    if (anyOf.length > 0) key += `|any:${toIds(anyOf)}`;
+    if (without.length > 0) key += `|not:${toIds(without)}`;
+    return key;
+  }
+
+  /**
+   * 检查实体是否符合查询条件
+   * @param {Entity} entity - 要检查的实体
+   * @returns {boolean}
+   */
+  matches(entity) {
+    if (!entity.active) return false;
+
+    return matchesFilter(entity, this);
+  }
+
+  /**
+   * 实体的组件发生变化后，重新判断它是否属于这个查询
+   * @param {Entity} entity - 发生变化的实体
+   */
+  refresh(entity) {
+    const matched = this.matches(entity);
+    const included = this.entitySet.has(entity);
+
+    if (matched && !included) {
+      this.entitySet.add(entity);
+      this.entities.push(entity);
+    } else if (!matched && included) {
+      this.remove(entity);
+    }
+  }
+
+  /**
+   * 从查询结果中移除实体
+   * @param {Entity} entity - 要移除的实体
+   */
+  remove(entity) {
+    if (!this.entitySet.has(entity)) return;
+
+    this.entitySet.delete(entity);
+    const index = this.entities.indexOf(entity);
+    if (index !== -1) {
+      this.entities.splice(index, 1);
+    }
+  }
+
+  /**
+   * 清空查询结果
+   */
+  clear() {
+    this.entities = [];
+    this.entitySet.clear();
+  }
+}
@@ -1,3 +1,38 @@
+import { matchesFilter } from './Query.js';
+
+/**
+ * 系统的执行阶段
+ * World每帧按阶段顺序执行系统：
+ * preUpdate → update → postUpdate → render → lateRender
+ * 
+ * - preUpdate: 读取输入等准备工作
+ * - update: 主要的游戏逻辑（移动、网格对齐等）
+ * - postUpdate: 依赖逻辑结果的工作（收集判定、动画状态等）
+ * - render: 绘制游戏世界
+ * - lateRender: 绘制在最上层的内容（调试信息等）
+ * 
+ * update()按上面的顺序调用，render()也按同样的顺序调用，
+ * 所以render阶段的系统会在所有逻辑系统之后更新、在lateRender之前绘制
+ */
+export const SYSTEM_PHASES = {
+  PRE_UPDATE: 'preUpdate',
+  UPDATE: 'update',
+  POST_UPDATE: 'postUpdate',
+  RENDER: 'render',
+  LATE_RENDER: 'lateRender'
+};
+
+/**
+ * 阶段的执行顺序
+ */
+export const SYSTEM_PHASE_ORDER = [
+  SYSTEM_PHASES.PRE_UPDATE,
+  SYSTEM_PHASES.UPDATE,
+  SYSTEM_PHASES.POST_UPDATE,
+  SYSTEM_PHASES.RENDER,
+  SYSTEM_PHASES.LATE_RENDER
+];
+
 /**
  * System 系统基类
  * 系统负责处理游戏逻辑，操作具有特定组件的实体
@@ -8,12 +43,49 @@
  */
 export class System {
   constructor() {
-    // 系统需要处理的组件类型列表
+    // 系统需要处理的组件类型列表（必须全部拥有）
     // 子类需要在构造函数中设置这个数组
     this.requiredComponents = [];
     
+    // 可选的查询条件：至少拥有其中一个组件（空数组表示不限制）
+    this.anyOfComponents = [];
+    
+    // 可选的查询条件：拥有其中任何一个组件的实体都不处理
+    this.withoutComponents = [];
+    
     // 系统是否激活
     this.enabled = true;
+    
+    // 执行阶段（见 SYSTEM_PHASES），子类在构造函数中设置
+    this.phase = SYSTEM_PHASES.UPDATE;
+    
+    // 同一阶段内的优先级，数字越小越先执行
+    // 优先级相同时按注册顺序执行
+    this.priority = 0;
+    
+    // 是否使用不受时间缩放影响的时间
+    // 为true时世界暂停或慢动作也照常更新（比如界面、按钮），
+    // 为false时世界暂停就不更新，慢动作时deltaTime也会变慢
+    this.useUnscaledTime = false;
+    
+    // 系统所属的世界（注册到World时由World设置）
+    this.world = null;
+    
+    // 系统的名字（检查器和性能数据里显示）
+    // 小游戏发布时代码会被压缩，类名会变成 a、b、c，所以子类要在构造函数里写一个固定的名字
+    this.name = this.constructor.name;
+  }
+  
+  /**
+   * 获取系统的查询条件
+   * @returns {Object} { all, anyOf, without }
+   */
+  getQueryFilter() {
+    return {
+      all: this.requiredComponents,
+      anyOf: this.anyOfComponents,
+      without: this.withoutComponents
+    };
   }
   
   /**
@@ -22,10 +94,7 @@ export class System {
    * @returns {boolean}
    */
   matchesEntity(entity) {
-    // 检查实体是否拥有所有必需的组件
-    return this.requiredComponents.every(ComponentClass => 
-      entity.hasComponent(ComponentClass)
-    );
+    return matchesFilter(entity, this.getQueryFilter());
   }
   
   /**
@@ -38,6 +107,67 @@ export class System {
     throw new Error('System.update() must be implemented by subclass');
   }
   
+  /**
+   * 订阅世界事件
+   * 系统被移除时会自动取消订阅，不需要手动off
+   * 需要在系统注册到World之后调用（比如在init中）
+   * @param {string} type - 事件类型
+   * @param {Function} handler - 回调函数 (payload, type) => {}
+   * @returns {Function} 调用即可提前取消订阅
+   */
+  subscribe(type, handler) {
+    if (!this.world) {
+      console.warn(`系统还没有注册到World，无法订阅事件: ${type}`);
+      return () => {};
+    }
+    
+    return this.world.events.on(type, handler, this);
+  }
+  
+  /**
+   * 订阅"某种组件被添加"（立即通知，已经存在的组件也会通知一遍）
+   * 适合用来维护缓存，比如记住地形组件
+   * 系统被移除时会自动取消订阅，需要在系统注册到World之后调用（比如在init中）
+   * @param {Function} ComponentClass - 组件类
+   * @param {Function} handler - 回调函数 (component, entity) => {}
+   * @returns {Function} 调用即可提前取消订阅
+   */
+  onComponentAdded(ComponentClass, handler) {
+    if (!this.world) {
+      console.warn('系统还没有注册到World，无法订阅组件添加');
+      return () => {};
+    }
+    
+    return this.world.onComponentAdded(ComponentClass, handler, this);
+  }
+  
+  /**
+   * 订阅"某种组件被移除"（立即通知）
+   * 系统被移除时会自动取消订阅
+   * @param {Function} ComponentClass - 组件类
+   * @param {Function} handler - 回调函数 (component, entity) => {}
+   * @returns {Function} 调用即可提前取消订阅
+   */
+  onComponentRemoved(ComponentClass, handler) {
+    if (!this.world) {
+      console.warn('系统还没有注册到World，无法订阅组件移除');
+      return () => {};
+    }
+    
+    return this.world.onComponentRemoved(ComponentClass, handler, this);
+  }
+  
+  /**
+   * 发送世界事件（帧末统一派发）
+   * @param {string} type - 事件类型
+   * @param {Object} payload - 事件数据
+   */
+  emit(type, payload = {}) {
+    if (this.world) {
+      this.world.events.emit(type, payload);
+    }
+  }
+  
   /**
    * 系统初始化
    * 可以在这里做一些准备工作
@@ -0,0 +1,36 @@
+/**
+ * Tag 标签组件
+ * 标签是不带任何数据的组件，只用来给实体"做个记号"
+ *
+ * 什么是标签？
+ * 就像给作业本贴一张"已批改"的小贴纸：贴纸上什么都不用写，
+ * 有没有贴就已经说明了一切。
+ * 系统可以用查询条件 { without: [CollectedTag] } 直接跳过贴了贴纸的实体。
+ *
+ * 用法：
+ *   export const CollectedTag = defineTag('CollectedTag');
+ *   entity.addComponent(new CollectedTag());
+ */
+import { Component } from './Component.js';
+import { registerComponent } from './ComponentRegistry.js';
+
+/**
+ * 所有标签的基类
+ */
+export class TagComponent extends Component {}
+
+/**
+ * 定义一个新标签
+ * 标签会自动注册到组件注册表，存档时也会被记录
+ * @param {string} name - 标签名字（存档里使用，发布后不要再改）
+ * @returns {Function} 标签类
+ */
+export function defineTag(name) {
+  const Tag = class extends TagComponent {};
+
+  // 让调试输出里能看到标签的名字
+  Object.defineProperty(Tag, 'name', { value: name });
+
+  registerComponent(name, Tag);
+  return Tag;
+}
@@ -7,18 +7,91 @@
  * 它知道游戏里有哪些角色（实体），有哪些工作人员（系统）
  * 每一帧都让所有工作人员去处理它们负责的角色
  */
-import { Entity } from './Entity.js';
+import { Entity, reserveEntityIds } from './Entity.js';
+import { Query } from './Query.js';
+import { CommandBuffer } from './CommandBuffer.js';
+import { EventBus, WORLD_EVENTS } from './EventBus.js';
+import { SYSTEM_PHASE_ORDER } from './System.js';
+import { getComponentClass, getComponentName } from './ComponentRegistry.js';
+import { instantiatePrefab } from './Prefab.js';
+import { ObjectPool } from '../utils/ObjectPool.js';
+import { now } from '../utils/Time.js';
+
+/**
+ * 存档格式的版本号
+ * 存档的结构发生变化时加1，读档时可以根据版本号做兼容
+ * 
+ * 版本历史：
+ * 1 - 实体和组件
+ * 2 - 实体增加parentId（父子关系）
+ */
+export const SNAPSHOT_VERSION = 2;
 
 export class World {
   constructor() {
     // 存储所有实体
     this.entities = [];
     
-    // 存储所有系统
+    // 存储所有系统（始终按阶段和优先级排好序）
     this.systems = [];
     
+    // 查询缓存：key是组件组合，value是Query
+    // 实体的组件变化时增量更新，避免每帧全量扫描
+    this.queries = new Map();
+    
+    // 每个系统对应的查询
+    this.systemQueries = new Map();
+    
+    // 命令缓冲区：系统在update中想增删实体/组件时，先记在这里，帧末统一执行
+    this.commands = new CommandBuffer(this);
+    
+    // 是否正在执行系统的update
+    this.updating = false;
+    
+    // 事件总线：系统之间通过事件交流，事件在帧末统一派发
+    this.events = new EventBus();
+    
+    // 组件钩子：某种组件被添加/移除时立即通知订阅者
+    // key是组件类，value是订阅者数组 [{ handler, owner }]
+    this.componentAddedHooks = new Map();
+    this.componentRemovedHooks = new Map();
+    
     // 上一帧的时间戳
     this.lastTime = Date.now();
+    
+    // 世界时钟
+    // timeScale是时间缩放：1正常，0.5慢动作，2快进
+    // paused为true时只有useUnscaledTime的系统会更新
+    this.timeScale = 1;
+    this.paused = false;
+    
+    // 世界经过的时间（毫秒），time受缩放和暂停影响，unscaledTime不受
+    this.time = 0;
+    this.unscaledTime = 0;
+    
+    // 最近一次update的时间步长（毫秒）
+    this.deltaTime = 0;
+    this.unscaledDeltaTime = 0;
+    
+    // 自己计算deltaTime时的最大值（毫秒），避免卡顿后实体一下子跑很远
+    this.maxDeltaTime = 100;
+    
+    // 对象池：频繁出现又消失的实体（粒子、飘字、物品等）用完放回池里复用
+    // 每个池最多留maxPoolSize个空闲对象
+    this.maxPoolSize = 256;
+    this.entityPool = new ObjectPool(() => new Entity(), this.maxPoolSize);
+    
+    // 组件池：key是组件类，value是ObjectPool
+    this.componentPools = new Map();
+    
+    // 系统耗时统计（调试用，开启后每个系统的update和render都会计时）
+    // key是系统，value是 { update, render, frameUpdate, frameRender }，单位毫秒：
+    // update/render 是最近几帧的平滑值（给检查器看，数字不会每帧乱跳），
+    // frameUpdate/frameRender 是上次 resetFrameTimings() 以后的合计（一帧里更新了好几步也都算上）
+    // 检查器、性能分析器要用时调用 requestTiming()，不用了调用 releaseTiming()，没人要时就不计时
+    this.timingEnabled = false;
+    this.timingRequests = 0;
+    this.systemTimings = new Map();
   }
   
   /**
@@ -27,32 +100,280 @@ export class World {
    */
   createEntity() {
     const entity = new Entity();
-    this.entities.push(entity);
+    this._trackEntity(entity);
+    return entity;
+  }
+  
+  /**
+   * 从对象池取出一个实体
+   * 取出的实体还没有加入世界，装好组件后用addEntity加入
+   * 它被移除时会连同组件一起放回池里，所以移除以后不要再保存它的引用
+   * （需要记住实体时请记它的id，复用时实体会换一个新id）
+   * @returns {Entity} 实体
+   */
+  acquireEntity() {
+    const entity = this.entityPool.acquire();
+    
+    // 池里拿出来的旧实体要重置，新建的实体本来就是干净的
+    if (entity.pooled) {
+      entity.reset();
+    }
+    
+    entity.pooled = true;
     return entity;
   }
   
+  /**
+   * 从对象池取出一个组件
+   * 池里有旧组件时用reset重置后复用，没有时才new一个新的
+   * @param {Function} ComponentClass - 组件类
+   * @param {...*} args - 构造函数的参数
+   * @returns {Component} 组件
+   */
+  acquireComponent(ComponentClass, ...args) {
+    const pool = this.componentPools.get(ComponentClass);
+    
+    if (pool && pool.size > 0) {
+      const component = pool.acquire();
+      component.reset(...args);
+      return component;
+    }
+    
+    return new ComponentClass(...args);
+  }
+  
+  /**
+   * 把来自对象池的实体和它的组件放回池里
+   * @param {Entity} entity - 已经销毁的实体
+   * @param {Array<Component>} components - 实体被销毁前拥有的组件
+   * @private
+   */
+  _releaseToPool(entity, components) {
+    for (const component of components) {
+      const ComponentClass = component.constructor;
+      
+      let pool = this.componentPools.get(ComponentClass);
+      if (!pool) {
+        pool = new ObjectPool(() => new ComponentClass(), this.maxPoolSize);
+        this.componentPools.set(ComponentClass, pool);
+      }
+      
+      pool.release(component);
+    }
+    
+    this.entityPool.release(entity);
+  }
+  
+  /**
+   * 获取对象池的统计信息（调试用）
+   * @returns {Object} { entities: { free, created, reused, ... }, components: { 组件名: 空闲数量 } }
+   */
+  getPoolStats() {
+    const components = {};
+    for (const [ComponentClass, pool] of this.componentPools) {
+      components[getComponentName(ComponentClass) || ComponentClass.name] = pool.size;
+    }
+    
+    return {
+      entities: { free: this.entityPool.size, ...this.entityPool.stats },
+      components
+    };
+  }
+  
+  /**
+   * 用预制体创建实体
+   * 例如：world.spawn('coin', { gridX: 3, gridY: 5 })
+   * @param {string} prefabName - 预制体名字（用registerPrefab注册）
+   * @param {Object} overrides - 覆盖预制体默认值的参数
+   * @returns {Entity} 新创建的实体
+   */
+  spawn(prefabName, overrides = {}) {
+    return instantiatePrefab(this, prefabName, overrides);
+  }
+  
   /**
    * 添加实体到世界
    * @param {Entity} entity - 要添加的实体
    */
   addEntity(entity) {
     if (!this.entities.includes(entity)) {
-      this.entities.push(entity);
+      this._trackEntity(entity);
     }
     return this;
   }
   
+  /**
+   * 开始跟踪实体：加入实体列表并登记到查询缓存
+   * @param {Entity} entity - 实体
+   * @private
+   */
+  _trackEntity(entity) {
+    this.entities.push(entity);
+    
+    // 让实体知道自己属于哪个世界
+    entity.world = this;
+    
+    // 组件变化时更新查询缓存，并通知组件钩子
+    entity.onComponentsChanged = (changedEntity, added, removed) => {
+      this._refreshQueries(changedEntity);
+      this._runComponentHooks(this.componentRemovedHooks, removed, changedEntity);
+      this._runComponentHooks(this.componentAddedHooks, added, changedEntity);
+    };
+    
+    this._refreshQueries(entity);
+    
+    // 实体带着组件加入世界，相当于这些组件都被"添加"了
+    this._runComponentHooks(this.componentAddedHooks, Array.from(entity.components.values()), entity);
+    
+    this.events.emit(WORLD_EVENTS.ENTITY_CREATED, { entity });
+  }
+  
+  /**
+   * 重新计算实体在各个查询中的归属
+   * @param {Entity} entity - 实体
+   * @private
+   */
+  _refreshQueries(entity) {
+    for (const query of this.queries.values()) {
+      query.refresh(entity);
+    }
+  }
+  
+  /**
+   * 订阅"某种组件被添加"
+   * 组件加到世界里的实体上（或者带着组件的实体加入世界）时立即调用，
+   * 订阅时世界里已经有的这种组件也会马上通知一遍，所以不用担心订阅的先后顺序
+   * 
+   * 替换组件（再次addComponent同类型的组件）时，会先通知旧组件被移除，再通知新组件被添加
+   * 
+   * @param {Function} ComponentClass - 组件类
+   * @param {Function} handler - 回调函数 (component, entity) => {}
+   * @param {Object} owner - 订阅者（可选），之后可以用offComponentHooksByOwner一次性取消
+   * @returns {Function} 调用即可取消这次订阅
+   */
+  onComponentAdded(ComponentClass, handler, owner = null) {
+    const unsubscribe = this._addComponentHook(this.componentAddedHooks, ComponentClass, handler, owner);
+    
+    for (const entity of this.query([ComponentClass]).entities.slice()) {
+      handler(entity.getComponent(ComponentClass), entity);
+    }
+    
+    return unsubscribe;
+  }
+  
+  /**
+   * 订阅"某种组件被移除"
+   * 组件被移除、被替换或者实体被销毁时立即调用
+   * @param {Function} ComponentClass - 组件类
+   * @param {Function} handler - 回调函数 (component, entity) => {}
+   * @param {Object} owner - 订阅者（可选）
+   * @returns {Function} 调用即可取消这次订阅
+   */
+  onComponentRemoved(ComponentClass, handler, owner = null) {
+    return this._addComponentHook(this.componentRemovedHooks, ComponentClass, handler, owner);
+  }
+  
+  /**
+   * 取消某个订阅者的所有组件钩子
+   * 系统被移除时World会自动调用
+   * @param {Object} owner - 订阅者
+   */
+  offComponentHooksByOwner(owner) {
+    if (!owner) return;
+    
+    for (const hooks of [this.componentAddedHooks, this.componentRemovedHooks]) {
+      for (const [ComponentClass, listeners] of hooks.entries()) {
+        const remaining = listeners.filter(listener => listener.owner !== owner);
+        if (remaining.length > 0) {
+          hooks.set(ComponentClass, remaining);
+        } else {
+          hooks.delete(ComponentClass);
+        }
+      }
+    }
+  }
+  
+  /**
+   * 登记组件钩子
+   * @param {Map} hooks - componentAddedHooks或componentRemovedHooks
+   * @param {Function} ComponentClass - 组件类
+   * @param {Function} handler - 回调函数
+   * @param {Object} owner - 订阅者
+   * @returns {Function} 取消订阅的函数
+   * @private
+   */
+  _addComponentHook(hooks, ComponentClass, handler, owner) {
+    const listener = { handler, owner };
+    hooks.set(ComponentClass, [...(hooks.get(ComponentClass) || []), listener]);
+    
+    return () => {
+      const remaining = (hooks.get(ComponentClass) || []).filter(item => item !== listener);
+      if (remaining.length > 0) {
+        hooks.set(ComponentClass, remaining);
+      } else {
+        hooks.delete(ComponentClass);
+      }
+    };
+  }
+  
+  /**
+   * 通知组件钩子
+   * @param {Map} hooks - componentAddedHooks或componentRemovedHooks
+   * @param {Array<Component>} components - 发生变化的组件
+   * @param {Entity} entity - 组件所属的实体
+   * @private
+   */
+  _runComponentHooks(hooks, components, entity) {
+    if (hooks.size === 0 || !components) return;
+    
+    for (const component of components) {
+      const listeners = hooks.get(component.constructor);
+      if (!listeners) continue;
+      
+      for (const listener of listeners) {
+        try {
+          listener.handler(component, entity);
+        } catch (error) {
+          // 某个订阅者出错不应该影响其他订阅者
+          console.error('组件钩子处理出错:', error);
+        }
+      }
+    }
+  }
+  
   /**
    * 从世界中移除实体
+   * 如果正在执行系统的update，会自动延迟到帧末执行，避免打乱正在遍历的实体列表
    * @param {Entity} entity - 要移除的实体
    */
   removeEntity(entity) {
+    if (this.updating) {
+      this.commands.destroyEntity(entity);
+      return this;
+    }
+    
+    // 子实体跟着父实体一起移除
+    for (const child of entity.children.slice()) {
+      this.removeEntity(child);
+    }
+    
     const index = this.entities.indexOf(entity);
     if (index !== -1) {
-      // 销毁实体
+      // 池化实体的组件在销毁后要放回池里，先记下来
+      const components = entity.pooled ? Array.from(entity.components.values()) : null;
+      
+      // 销毁实体（会触发查询缓存更新）
       entity.destroy();
+      entity.onComponentsChanged = null;
+      entity.world = null;
       // 从数组中移除
       this.entities.splice(index, 1);
+      
+      this.events.emit(WORLD_EVENTS.ENTITY_DESTROYED, { entity, entityId: entity.id });
+      
+      if (entity.pooled) {
+        this._releaseToPool(entity, components);
+      }
     }
     return this;
   }
@@ -72,9 +393,7 @@ export class World {
    * @returns {Array<Entity>}
    */
   getEntitiesWithComponent(ComponentClass) {
-    return this.entities.filter(entity => 
-      entity.active && entity.hasComponent(ComponentClass)
-    );
+    return this.getEntitiesWithComponents([ComponentClass]);
   }
   
   /**
@@ -83,24 +402,156 @@ export class World {
    * @returns {Array<Entity>}
    */
   getEntitiesWithComponents(ComponentClasses) {
-    return this.entities.filter(entity => {
-      if (!entity.active) return false;
-      return ComponentClasses.every(ComponentClass => 
-        entity.hasComponent(ComponentClass)
-      );
-    });
+    // 返回副本，调用者修改数组不会影响缓存
+    return this.query(ComponentClasses).entities.slice();
+  }
+  
+  /**
+   * 获取（或创建）实体查询
+   * 返回的Query会随实体组件变化自动更新，query.entities请只读不写
+   * 
+   * 例如：
+   *   world.query([PositionComponent, RenderComponent])
+   *   world.query({ all: [ItemComponent], without: [CollectedTag] })
+   * 
+   * @param {Array<Function>|Object} filter - 组件数组（必须全部拥有），或 { all, anyOf, without }
+   * @returns {Query}
+   */
+  query(filter) {
+    const key = Query.createKey(filter);
+    let query = this.queries.get(key);
+    
+    if (!query) {
+      query = new Query(filter);
+      
+      // 新建查询时扫描一次现有实体，之后只做增量更新
+      for (const entity of this.entities) {
+        query.refresh(entity);
+      }
+      
+      this.queries.set(key, query);
+    }
+    
+    return query;
+  }
+  
+  /**
+   * 获取系统对应的查询
+   * @param {System} system - 系统
+   * @returns {Query}
+   * @private
+   */
+  _getSystemQuery(system) {
+    let query = this.systemQueries.get(system);
+    if (!query) {
+      query = this.query(system.getQueryFilter());
+      this.systemQueries.set(system, query);
+    }
+    return query;
   }
   
   /**
    * 注册系统
+   * 系统的执行顺序由它的phase和priority决定，和注册顺序无关
+   * 
+   * 如果想把系统插到两个已有系统之间，可以传入before/after：
+   *   world.registerSystem(new MySystem(), { after: MovementSystem, before: GridSystem });
+   * 新系统会使用参照系统的阶段，并自动算出一个介于两者之间的优先级
+   * 
    * @param {System} system - 要注册的系统
+   * @param {Object} options - 插入位置（可选）
+   * @param {System|Function} options.after - 在这个系统（实例或类）之后执行
+   * @param {System|Function} options.before - 在这个系统（实例或类）之前执行
    */
-  registerSystem(system) {
-    this.systems.push(system);
+  registerSystem(system, options = {}) {
+    const after = this._findSystem(options.after);
+    const before = this._findSystem(options.before);
+    
+    if ((options.after && !after) || (options.before && !before)) {
+      console.warn('registerSystem: 找不到参照系统，按系统自己的阶段和优先级注册');
+    }
+    
+    if (after || before) {
+      this._insertSystemBetween(system, after, before);
+    } else {
+      this.systems.push(system);
+    }
+    
+    this.sortSystems();
+    
+    // 让系统知道自己属于哪个世界（系统可以在init中订阅事件）
+    system.world = this;
     system.init();
     return this;
   }
   
+  /**
+   * 把系统插入到两个系统之间，并设置它的阶段和优先级
+   * @param {System} system - 新系统
+   * @param {System|null} after - 前一个系统
+   * @param {System|null} before - 后一个系统
+   * @private
+   */
+  _insertSystemBetween(system, after, before) {
+    if (after && before) {
+      const afterIndex = this.systems.indexOf(after);
+      const beforeIndex = this.systems.indexOf(before);
+      
+      if (afterIndex > beforeIndex || after.phase !== before.phase) {
+        console.warn('registerSystem: after必须和before在同一阶段且排在它前面，只按after插入');
+        before = null;
+      }
+    }
+    
+    const reference = after || before;
+    system.phase = reference.phase;
+    
+    if (after && before && before.priority > after.priority) {
+      // 两者优先级不同：取中间值
+      system.priority = (after.priority + before.priority) / 2;
+    } else {
+      // 优先级相同或只有一侧参照：使用相同的优先级，靠数组位置决定先后（排序是稳定的）
+      system.priority = reference.priority;
+    }
+    
+    const index = after ? this.systems.indexOf(after) + 1 : this.systems.indexOf(before);
+    this.systems.splice(index, 0, system);
+  }
+  
+  /**
+   * 查找已注册的系统
+   * @param {System|Function} systemOrClass - 系统实例或系统类
+   * @returns {System|null}
+   * @private
+   */
+  _findSystem(systemOrClass) {
+    if (!systemOrClass) return null;
+    
+    if (typeof systemOrClass === 'function') {
+      return this.systems.find(system => system instanceof systemOrClass) || null;
+    }
+    
+    return this.systems.includes(systemOrClass) ? systemOrClass : null;
+  }
+  
+  /**
+   * 按阶段和优先级重新排序系统
+   * 运行中修改了系统的phase或priority后需要调用
+   */
+  sortSystems() {
+    // Array.prototype.sort 是稳定排序，优先级相同的系统保持原来的先后顺序
+    this.systems.sort((a, b) => {
+      const phaseA = SYSTEM_PHASE_ORDER.indexOf(a.phase);
+      const phaseB = SYSTEM_PHASE_ORDER.indexOf(b.phase);
+      
+      if (phaseA !== phaseB) {
+        return phaseA - phaseB;
+      }
+      
+      return a.priority - b.priority;
+    });
+  }
+  
   /**
    * 移除系统
    * @param {System} system - 要移除的系统
@@ -110,58 +561,337 @@ export class World {
     if (index !== -1) {
       system.destroy();
       this.systems.splice(index, 1);
+      this.systemQueries.delete(system);
+      
+      // 自动取消系统的所有事件订阅和组件钩子
+      this.events.offByOwner(system);
+      this.offComponentHooksByOwner(system);
+      this.systemTimings.delete(system);
+      system.world = null;
+    }
+    return this;
+  }
+  
+  /**
+   * 暂停世界
+   * 暂停后只有useUnscaledTime的系统会继续更新
+   */
+  pause() {
+    if (this.paused) return this;
+    
+    this.paused = true;
+    console.log('⏸️ 世界暂停');
+    return this;
+  }
+  
+  /**
+   * 恢复世界
+   */
+  resume() {
+    if (!this.paused) return this;
+    
+    this.paused = false;
+    console.log('▶️ 世界继续');
+    return this;
+  }
+  
+  /**
+   * 设置时间缩放
+   * @param {number} scale - 缩放倍率（1正常，0.5慢动作，2快进，不能小于0）
+   */
+  setTimeScale(scale) {
+    if (!(scale >= 0)) {
+      console.warn(`⚠️ 时间缩放不能是 ${scale}，已忽略`);
+      return this;
     }
+    
+    this.timeScale = scale;
     return this;
   }
   
   /**
    * 更新世界
-   * 调用所有系统的update方法
+   * 按阶段和优先级调用所有系统的update方法
+   * 系统拿到的deltaTime已经按timeScale缩放过，暂停时普通系统不会被调用
+   * @param {number} deltaTime - 这一步的真实时间（毫秒，可选）
+   *   不传时根据上一次update的时间自动计算，并限制在maxDeltaTime以内
    */
-  update() {
+  update(deltaTime) {
     // 计算距离上一帧的时间
     const currentTime = Date.now();
-    const deltaTime = currentTime - this.lastTime;
+    if (deltaTime === undefined) {
+      deltaTime = Math.min(currentTime - this.lastTime, this.maxDeltaTime);
+    }
     this.lastTime = currentTime;
     
+    // 推进世界时钟
+    const scaledDeltaTime = this.paused ? 0 : deltaTime * this.timeScale;
+    this.unscaledDeltaTime = deltaTime;
+    this.deltaTime = scaledDeltaTime;
+    this.unscaledTime += deltaTime;
+    this.time += scaledDeltaTime;
+    
     // 更新所有激活的系统
-    for (const system of this.systems) {
-      if (!system.enabled) continue;
-      
-      // 找出符合该系统要求的所有实体
-      const matchingEntities = this.entities.filter(entity => 
-        entity.active && system.matchesEntity(entity)
-      );
-      
-      // 调用系统的update方法
-      system.update(deltaTime, matchingEntities);
+    this.updating = true;
+    try {
+      for (const system of this.systems) {
+        if (!system.enabled) continue;
+        
+        // 暂停时只更新不受时间缩放影响的系统
+        if (this.paused && !system.useUnscaledTime) continue;
+        
+        // 直接使用缓存的查询结果
+        const matchingEntities = this._getSystemQuery(system).entities;
+        
+        // 调用系统的update方法
+        const startTime = this.timingEnabled ? now() : 0;
+        system.update(system.useUnscaledTime ? deltaTime : scaledDeltaTime, matchingEntities);
+        if (this.timingEnabled) {
+          this._recordTiming(system, 'update', now() - startTime);
+        }
+      }
+    } finally {
+      this.updating = false;
     }
     
-    // 清理已销毁的实体
-    this.entities = this.entities.filter(entity => entity.active);
+    // 执行系统在这一帧记录的命令（创建/销毁实体、增删组件）
+    this.commands.flush();
+    
+    // 派发这一帧排队的事件
+    this.events.flush();
+    
+    // 清理已销毁的实体（直接调用entity.destroy()的实体）
+    // （这种实体的组件已经被清空了，池化的话只把实体放回池里）
+    this.entities = this.entities.filter(entity => {
+      if (entity.active) return true;
+      entity.onComponentsChanged = null;
+      entity.world = null;
+      if (entity.pooled) {
+        this.entityPool.release(entity);
+      }
+      return false;
+    });
+  }
+  
+  /**
+   * 记录系统的耗时
+   * @param {System} system - 系统
+   * @param {string} kind - 'update' 或 'render'
+   * @param {number} time - 这一次花的时间（毫秒）
+   * @private
+   */
+  _recordTiming(system, kind, time) {
+    let timing = this.systemTimings.get(system);
+    if (!timing) {
+      timing = { update: 0, render: 0, frameUpdate: 0, frameRender: 0 };
+      this.systemTimings.set(system, timing);
+    }
+    
+    // 平滑一下，数字不会每帧乱跳
+    timing[kind] = timing[kind] * 0.9 + time * 0.1;
+    
+    // 这一帧的真实合计（不平滑）
+    if (kind === 'update') {
+      timing.frameUpdate += time;
+    } else {
+      timing.frameRender += time;
+    }
+  }
+  
+  /**
+   * 开始统计系统耗时（可以有好几个地方同时要，每次 requestTiming() 都要对应一次 releaseTiming()）
+   */
+  requestTiming() {
+    this.timingRequests++;
+    this.timingEnabled = true;
+  }
+  
+  /**
+   * 不再需要系统耗时了，所有要的地方都释放以后才停止计时
+   */
+  releaseTiming() {
+    this.timingRequests = Math.max(0, this.timingRequests - 1);
+    this.timingEnabled = this.timingRequests > 0;
+  }
+  
+  /**
+   * 把这一帧的耗时合计清零（性能分析器在每帧开始时调用）
+   */
+  resetFrameTimings() {
+    for (const timing of this.systemTimings.values()) {
+      timing.frameUpdate = 0;
+      timing.frameRender = 0;
+    }
+  }
+  
+  /**
+   * 获取所有系统的耗时统计（按执行顺序）
+   * 需要先调用 requestTiming()
+   * update/render 是平滑值，frameUpdate/frameRender 是上次 resetFrameTimings() 以后的合计
+   * @returns {Array<Object>} [{ system, name, phase, enabled, entityCount, update, render, frameUpdate, frameRender }]
+   */
+  getSystemTimings() {
+    return this.systems.map(system => {
+      const timing = this.systemTimings.get(system) || { update: 0, render: 0, frameUpdate: 0, frameRender: 0 };
+      return {
+        system,
+        name: system.name,
+        phase: system.phase,
+        enabled: system.enabled,
+        entityCount: this._getSystemQuery(system).entities.length,
+        update: timing.update,
+        render: timing.render,
+        frameUpdate: timing.frameUpdate,
+        frameRender: timing.frameRender
+      };
+    });
   }
   
   /**
    * 渲染世界
-   * 调用所有系统的render方法
+   * 按阶段和优先级调用所有系统的render方法
+   * @param {number} alpha - 渲染插值系数（0~1），表示画面处在上一步和这一步之间的位置
    */
-  render() {
+  render(alpha = 1) {
+    // 暂停时移动系统不再更新上一步的位置，直接画在当前位置，画面才不会抖
+    if (this.paused) {
+      alpha = 1;
+    }
+    
     // 渲染所有激活的系统
     for (const system of this.systems) {
       if (!system.enabled) continue;
       
-      // 找出符合该系统要求的所有实体
-      const matchingEntities = this.entities.filter(entity => 
-        entity.active && system.matchesEntity(entity)
-      );
-      
       // 如果系统有render方法，调用它
       if (typeof system.render === 'function') {
-        system.render(matchingEntities);
+        const startTime = this.timingEnabled ? now() : 0;
+        system.render(this._getSystemQuery(system).entities, alpha);
+        if (this.timingEnabled) {
+          this._recordTiming(system, 'render', now() - startTime);
+        }
       }
     }
   }
   
+  /**
+   * 把世界里的所有实体和组件导出成存档
+   * 存档是纯数据，可以直接JSON.stringify保存
+   * 
+   * 格式：
+   * {
+   *   version: 2,
+   *   entities: [
+   *     { id: 1, components: { PositionComponent: { x: 10, y: 20, ... }, ... } },
+   *     { id: 2, parentId: 1, components: { ... } }
+   *   ]
+   * }
+   * 
+   * 没有用registerComponent登记的组件不会被保存
+   * @returns {Object} 存档数据
+   */
+  serialize() {
+    const skipped = new Set();
+    const entities = [];
+    
+    for (const entity of this.entities) {
+      if (!entity.active) continue;
+      
+      const components = {};
+      for (const [ComponentClass, component] of entity.components.entries()) {
+        const name = getComponentName(ComponentClass);
+        if (!name) {
+          skipped.add(ComponentClass.name);
+          continue;
+        }
+        components[name] = component.serialize();
+      }
+      
+      const entityData = { id: entity.id, components };
+      if (entity.parent) {
+        entityData.parentId = entity.parent.id;
+      }
+      
+      entities.push(entityData);
+    }
+    
+    if (skipped.size > 0) {
+      console.warn(`⚠️ 这些组件没有注册，不会被保存: ${[...skipped].join(', ')}`);
+    }
+    
+    return {
+      version: SNAPSHOT_VERSION,
+      entities
+    };
+  }
+  
+  /**
+   * 从存档恢复世界里的实体
+   * 会先移除现在所有的实体，再按存档重新创建（实体ID和存档时一样）
+   * 系统不会被改动，需要游戏自己注册好
+   * @param {Object} snapshot - serialize()导出的存档数据
+   * @returns {Map<number, Entity>} 存档里的实体ID → 新创建的实体
+   */
+  loadSnapshot(snapshot) {
+    // 旧版本的存档只是没有父子关系，可以直接读取
+    if (!snapshot || !(snapshot.version >= 1 && snapshot.version <= SNAPSHOT_VERSION)) {
+      throw new Error(`不支持的存档版本: ${snapshot ? snapshot.version : snapshot}`);
+    }
+    
+    this._removeAllEntities();
+    
+    const entitiesById = new Map();
+    
+    for (const entityData of snapshot.entities) {
+      const entity = new Entity();
+      entity.id = entityData.id;
+      reserveEntityIds(entity.id);
+      
+      for (const [name, data] of Object.entries(entityData.components)) {
+        const ComponentClass = getComponentClass(name);
+        if (!ComponentClass) {
+          console.warn(`⚠️ 存档里有未注册的组件: ${name}，已跳过`);
+          continue;
+        }
+        
+        const component = new ComponentClass();
+        component.deserialize(data);
+        entity.addComponent(component);
+      }
+      
+      this.addEntity(entity);
+      entitiesById.set(entity.id, entity);
+    }
+    
+    // 所有实体都创建好以后再恢复父子关系
+    for (const entityData of snapshot.entities) {
+      if (entityData.parentId === undefined) continue;
+      
+      const parent = entitiesById.get(entityData.parentId);
+      if (parent) {
+        entitiesById.get(entityData.id).setParent(parent);
+      } else {
+        console.warn(`⚠️ 存档里实体${entityData.id}的父实体${entityData.parentId}不存在`);
+      }
+    }
+    
+    console.log(`📂 存档读取完成，共 ${entitiesById.size} 个实体`);
+    return entitiesById;
+  }
+  
+  /**
+   * 移除所有实体（保留系统）
+   * @private
+   */
+  _removeAllEntities() {
+    const entities = this.entities.slice();
+    for (const entity of entities) {
+      this.removeEntity(entity);
+    }
+    
+    // 已经排队的命令针对的是旧实体，一起丢弃
+    this.commands.clear();
+  }
+  
   /**
    * 清空世界
    * 移除所有实体和系统
@@ -169,15 +899,35 @@ export class World {
   clear() {
     // 销毁所有实体
     for (const entity of this.entities) {
+      entity.onComponentsChanged = null;
       entity.destroy();
+      entity.world = null;
     }
     this.entities = [];
     
+    // 丢弃未执行的命令
+    this.commands.clear();
+    
+    // 清空查询缓存
+    this.queries.clear();
+    this.systemQueries.clear();
+    
     // 销毁所有系统
     for (const system of this.systems) {
       system.destroy();
+      system.world = null;
     }
     this.systems = [];
+    
+    // 清空所有事件订阅和组件钩子
+    this.events.clear();
+    this.componentAddedHooks.clear();
+    this.componentRemovedHooks.clear();
+    
+    // 清空对象池和耗时统计
+    this.entityPool.clear();
+    this.componentPools.clear();
+    this.systemTimings.clear();
   }
   
   /**
@@ -0,0 +1,220 @@
+/**
+ * HeadlessPlatform 无头运行环境
+ * 在Node里模拟微信小游戏提供的 wx、GameGlobal 和画布，让游戏不需要手机也能跑起来
+ *
+ * 什么是"无头"？
+ * 就是没有屏幕：游戏照常更新、照常"画画"，只是画到一张看不见的纸上。
+ * 画了多少次会被记下来，触摸事件由我们自己"假装"按下去，
+ * 这样就能在电脑上一帧一帧地检查游戏逻辑对不对。
+ *
+ * 注意：这里的东西只给 HeadlessRunner 用，游戏代码里不要引用
+ */
+
+/**
+ * 创建一个记录绘制次数的假绘图上下文
+ * 方法和真正的 CanvasRenderingContext2D 同名，但什么都不画
+ * @param {Object} canvas - 所属的画布
+ * @returns {Object} 绘图上下文
+ */
+export function createHeadlessContext(canvas) {
+  const context = {
+    canvas,
+
+    // 绘制次数（每次真正"画出东西"的调用加1）
+    drawCalls: 0,
+
+    // 常用的绘图状态
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    font: '10px sans-serif',
+    textAlign: 'left',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+    imageSmoothingEnabled: true,
+
+    measureText(text) {
+      // 没有真正的字体，按字号粗略估计宽度（字号前面可能还有 bold 之类的）
+      const match = /(\d+)px/.exec(context.font);
+      const size = match ? Number(match[1]) : 10;
+      return { width: String(text).length * size * 0.6 };
+    },
+
+    getImageData(x, y, width, height) {
+      return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    },
+
+    createImageData(width, height) {
+      return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+  };
+
+  // 只改变状态、不画东西的方法
+  const stateMethods = [
+    'save', 'restore', 'translate', 'scale', 'rotate', 'setTransform', 'resetTransform',
+    'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo', 'ellipse', 'rect',
+    'quadraticCurveTo', 'bezierCurveTo', 'clip', 'putImageData', 'setLineDash'
+  ];
+
+  // 会画出东西的方法
+  const drawMethods = [
+    'fill', 'stroke', 'fillRect', 'strokeRect', 'clearRect',
+    'fillText', 'strokeText', 'drawImage'
+  ];
+
+  for (const name of stateMethods) {
+    context[name] = () => {};
+  }
+
+  for (const name of drawMethods) {
+    context[name] = () => {
+      context.drawCalls++;
+    };
+  }
+
+  return context;
+}
+
+/**
+ * 创建一张假画布
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Object} 画布
+ */
+export function createHeadlessCanvas(width = 750, height = 1334) {
+  const canvas = {
+    width,
+    height,
+    context: null,
+
+    getContext() {
+      if (!canvas.context) {
+        canvas.context = createHeadlessContext(canvas);
+      }
+      return canvas.context;
+    },
+
+    toDataURL() {
+      return '';
+    }
+  };
+
+  return canvas;
+}
+
+/**
+ * 创建一张假图片
+ * 设置src后会像真图片一样异步触发onload
+ * @returns {Object} 图片
+ */
+function createHeadlessImage() {
+  let src = '';
+
+  const image = {
+    width: 0,
+    height: 0,
+    onload: null,
+    onerror: null
+  };
+
+  Object.defineProperty(image, 'src', {
+    get: () => src,
+    set: value => {
+      src = value;
+      Promise.resolve().then(() => {
+        if (image.onload) image.onload();
+      });
+    }
+  });
+
+  return image;
+}
+
+/**
+ * 安装无头运行环境
+ * 已经有 wx 的环境（比如真机）不会被覆盖
+ * @param {Object} options - 选项
+ * @param {number} options.width - 屏幕宽度（默认750）
+ * @param {number} options.height - 屏幕高度（默认1334）
+ * @returns {Object} 触摸控制器 { touchStart, touchMove, touchEnd, touchCancel, pinchStart, pinchMove, hide, show }
+ */
+export function installHeadlessPlatform(options = {}) {
+  const { width = 750, height = 1334 } = options;
+
+  if (typeof globalThis.GameGlobal === 'undefined') {
+    globalThis.GameGlobal = {};
+  }
+
+  if (typeof globalThis.wx === 'undefined') {
+    // 每种触摸事件的监听函数（和真机一样，可以注册好几个）
+    // hide/show 是切到后台、回到前台
+    const listeners = {
+      start: [],
+      move: [],
+      end: [],
+      cancel: [],
+      hide: [],
+      show: []
+    };
+    const off = (type, listener) => {
+      listeners[type] = listeners[type].filter(item => item !== listener);
+    };
+
+    globalThis.wx = {
+      createCanvas: () => createHeadlessCanvas(width, height),
+      createImage: () => createHeadlessImage(),
+      getSystemInfoSync: () => ({ windowWidth: width, windowHeight: height, pixelRatio: 1, platform: 'headless' }),
+      onTouchStart: listener => listeners.start.push(listener),
+      onTouchMove: listener => listeners.move.push(listener),
+      onTouchEnd: listener => listeners.end.push(listener),
+      onTouchCancel: listener => listeners.cancel.push(listener),
+      offTouchStart: listener => off('start', listener),
+      offTouchMove: listener => off('move', listener),
+      offTouchEnd: listener => off('end', listener),
+      offTouchCancel: listener => off('cancel', listener),
+      onHide: listener => listeners.hide.push(listener),
+      onShow: listener => listeners.show.push(listener),
+      offHide: listener => off('hide', listener),
+      offShow: listener => off('show', listener),
+
+      // 只有无头环境才有，用来假装触摸屏幕
+      _headlessListeners: listeners
+    };
+  }
+
+  return createTouchController(globalThis.wx._headlessListeners);
+}
+
+/**
+ * 创建触摸控制器
+ * @param {Object} listeners - 触摸事件监听函数
+ * @returns {Object} 触摸控制器
+ * @private
+ */
+function createTouchController(listeners) {
+  if (!listeners) {
+    throw new Error('当前环境不是无头环境，不能模拟触摸');
+  }
+
+  const dispatch = (type, touches) => {
+    const event = { touches, changedTouches: touches };
+    for (const listener of listeners[type].slice()) {
+      listener(event);
+    }
+  };
+
+  return {
+    touchStart: (x, y) => dispatch('start', [{ clientX: x, clientY: y }]),
+    touchMove: (x, y) => dispatch('move', [{ clientX: x, clientY: y }]),
+    touchEnd: () => dispatch('end', []),
+    touchCancel: () => dispatch('cancel', []),
+
+    // 两根手指（用 touchEnd 一起抬起）
+    pinchStart: (x1, y1, x2, y2) => dispatch('start', [{ clientX: x1, clientY: y1 }, { clientX: x2, clientY: y2 }]),
+    pinchMove: (x1, y1, x2, y2) => dispatch('move', [{ clientX: x1, clientY: y1 }, { clientX: x2, clientY: y2 }]),
+
+    // 假装切到后台/回到前台
+    hide: () => dispatch('hide', []),
+    show: () => dispatch('show', [])
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * HeadlessRunner 无头运行器
+ * 不需要手机和画布，在Node里一帧一帧地运行游戏，方便检查移动、收集、地图生成是否正确
+ *
+ * 时间是假的：每调用一次 step() 时钟就前进固定的一帧，
+ * 所以同样的操作、同样的随机种子，每次跑出来的结果都一模一样。
+ *
+ * 用法（在Node里）：
+ *   import { HeadlessRunner } from './core/headless/HeadlessRunner.js';
+ *   import { GridMoveGame } from './games/GridMove/GridMoveGame.js';
+ *
+ *   const runner = new HeadlessRunner({ config: { 'terrain.randomSeed': 42 } });
+ *   runner.registerGame('GridMove', GridMoveGame);
+ *   await runner.start('GridMove');
+ *
+ *   runner.drag(300, 400, 360, 400, { holdFrames: 40 }); // 向右拖40帧再松手
+ *   runner.step(30);
+ *
+ *   const grid = runner.game.player.getComponent(GridComponent);
+ *   console.assert(grid.gridX > 15);
+ *
+ *   runner.destroy();
+ *
+ * 完整能跑的例子见 simulate.mjs（在项目根目录运行 node game/core/headless/simulate.mjs）。
+ *
+ * 注意：
+ * - 需要 Node 20.19+ 或 22.12+，更老的Node不认识 .js 文件里的ES模块写法
+ * - 游戏模块里会用到 GameGlobal，所以要先 new HeadlessRunner()（或者调用
+ *   installHeadlessPlatform()）再调用游戏的方法
+ */
+import { installHeadlessPlatform, createHeadlessCanvas } from './HeadlessPlatform.js';
+import { GameManager } from '../GameManager.js';
+import { ConfigManager } from '../ConfigManager.js';
+import { Profiler } from '../utils/Profiler.js';
+
+export class HeadlessRunner {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.width - 屏幕宽度（默认750）
+   * @param {number} options.height - 屏幕高度（默认1334）
+   * @param {number} options.frameMs - 每一帧的时间（毫秒，默认1000/60）
+   * @param {Object} options.config - 要覆盖的gameConfig配置，例如 { 'terrain.randomSeed': 42 }
+   * @param {boolean} options.profile - 是否用性能分析器记录每一帧（runner.profiler.exportJSON() 导出）
+   */
+  constructor(options = {}) {
+    const { width = 750, height = 1334, frameMs = 1000 / 60, config = {}, profile = false } = options;
+
+    // 安装假的wx环境，拿到触摸控制器
+    this.touch = installHeadlessPlatform({ width, height });
+
+    // 每一帧的时间和当前的假时钟
+    this.frameMs = frameMs;
+    this.now = 0;
+
+    // 已经运行的帧数
+    this.frame = 0;
+
+    // 覆盖配置（销毁时恢复原来的值，避免影响下一个运行器）
+    this.configManager = GameGlobal.configManager || new ConfigManager();
+    GameGlobal.configManager = this.configManager;
+    this.configBackup = [];
+    for (const [path, value] of Object.entries(config)) {
+      this.configBackup.push([path, this.configManager.get('gameConfig', path, null)]);
+      this.configManager.set('gameConfig', path, value);
+    }
+
+    // 假画布和游戏管理器
+    this.canvas = createHeadlessCanvas(width, height);
+    this.context = this.canvas.getContext('2d');
+    this.gameManager = new GameManager(this.canvas, this.context);
+    
+    // 性能分析器（记录的是真实的运行耗时，不是假时钟）
+    this.profiler = profile ? new Profiler({ historySize: 600 }) : null;
+  }
+
+  /**
+   * 当前运行的游戏
+   */
+  get game() {
+    return this.gameManager.currentGame;
+  }
+
+  /**
+   * 当前游戏的ECS世界
+   */
+  get world() {
+    return this.game ? this.game.world : null;
+  }
+
+  /**
+   * 累计的绘制次数
+   */
+  get drawCalls() {
+    return this.context.drawCalls;
+  }
+
+  /**
+   * 注册子游戏
+   * @param {string} name - 游戏名称
+   * @param {Function} GameClass - 游戏类
+   */
+  registerGame(name, GameClass) {
+    this.gameManager.registerGame(name, GameClass);
+    return this;
+  }
+
+  /**
+   * 启动（切换到）指定的游戏
+   * 切换过程（过渡效果、加载画面）也要一帧一帧地跑，等到新游戏完全露出来才返回
+   * @param {string} name - 游戏名称
+   * @param {Object} options - 传给 GameManager.switchGame 的选项
+   * @returns {Promise<Object>} 游戏实例
+   */
+  async start(name, options = {}) {
+    let done = false;
+    const switching = this.gameManager.switchGame(name, options).finally(() => {
+      done = true;
+    });
+
+    // 边跑帧边等：加载中的游戏会等待下一帧画完，图片加载也需要让出时间
+    while (!done) {
+      this.step();
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    await switching;
+
+    if (!this.game || this.gameManager.currentGameName !== name) {
+      const lastError = this.gameManager.errorLog[this.gameManager.errorLog.length - 1];
+      throw new Error(`游戏 "${name}" 启动失败${lastError ? `：${lastError.message}` : ''}`);
+    }
+
+    // 等过渡效果播完，游戏就可以正常操作了
+    this.stepUntil(runner => !runner.gameManager.isTransitioning());
+    return this.game;
+  }
+
+  /**
+   * 运行若干帧（每帧都会更新和渲染）
+   * @param {number} frames - 帧数（默认1）
+   */
+  step(frames = 1) {
+    for (let i = 0; i < frames; i++) {
+      this.now += this.frameMs;
+      this.frame++;
+      
+      if (this.profiler) this.profiler.beginFrame();
+      this.gameManager.update(this.now);
+      if (this.profiler) this.profiler.endUpdate();
+      this.gameManager.render();
+      if (this.profiler) this.profiler.endFrame(this.world);
+    }
+    return this;
+  }
+
+  /**
+   * 一直运行，直到条件满足
+   * @param {Function} predicate - 条件函数，参数是运行器，返回true时停止
+   * @param {number} maxFrames - 最多运行的帧数（默认600，也就是10秒）
+   * @returns {number} 实际运行的帧数，超过maxFrames还没满足时返回-1
+   */
+  stepUntil(predicate, maxFrames = 600) {
+    for (let i = 0; i < maxFrames; i++) {
+      if (predicate(this)) return i;
+      this.step();
+    }
+
+    return predicate(this) ? maxFrames : -1;
+  }
+
+  /**
+   * 模拟一次拖动
+   * 按下后分几次移动到终点，按住holdFrames帧后松手
+   * @param {number} fromX - 起点X
+   * @param {number} fromY - 起点Y
+   * @param {number} toX - 终点X
+   * @param {number} toY - 终点Y
+   * @param {Object} options - 选项
+   * @param {number} options.moves - 从起点到终点分几次移动（默认1）
+   * @param {number} options.holdFrames - 到达终点后按住多少帧再松手（默认0）
+   */
+  drag(fromX, fromY, toX, toY, options = {}) {
+    const { moves = 1, holdFrames = 0 } = options;
+
+    this.touch.touchStart(fromX, fromY);
+    this.step();
+
+    for (let i = 1; i <= moves; i++) {
+      const t = i / moves;
+      this.touch.touchMove(fromX + (toX - fromX) * t, fromY + (toY - fromY) * t);
+      this.step();
+    }
+
+    this.step(holdFrames);
+    this.touch.touchEnd();
+    return this;
+  }
+
+  /**
+   * 模拟一次点击
+   * @param {number} x - 点击位置X
+   * @param {number} y - 点击位置Y
+   */
+  tap(x, y) {
+    this.touch.touchStart(x, y);
+    this.step();
+    this.touch.touchEnd();
+    return this;
+  }
+
+  /**
+   * 模拟双指缩放：两根手指左右对称，从fromDistance张开/捏合到toDistance
+   * @param {number} centerX - 两指中心X
+   * @param {number} centerY - 两指中心Y
+   * @param {number} fromDistance - 开始时两指距离
+   * @param {number} toDistance - 结束时两指距离
+   * @param {Object} options - 选项
+   * @param {number} options.moves - 分几次移动（默认5）
+   */
+  pinch(centerX, centerY, fromDistance, toDistance, options = {}) {
+    const { moves = 5 } = options;
+
+    const half = fromDistance / 2;
+    this.touch.pinchStart(centerX - half, centerY, centerX + half, centerY);
+    this.step();
+
+    for (let i = 1; i <= moves; i++) {
+      const distance = fromDistance + (toDistance - fromDistance) * (i / moves);
+      this.touch.pinchMove(centerX - distance / 2, centerY, centerX + distance / 2, centerY);
+      this.step();
+    }
+
+    this.touch.touchEnd();
+    return this;
+  }
+
+  /**
+   * 模拟小游戏切到后台
+   */
+  hide() {
+    this.touch.hide();
+    return this;
+  }
+
+  /**
+   * 模拟小游戏回到前台
+   * @param {number} awayMs - 在后台待了多久（毫秒，假时钟会跳过这段时间）
+   */
+  show(awayMs = 0) {
+    this.now += awayMs;
+    this.touch.show();
+    return this;
+  }
+
+  /**
+   * 销毁运行器，释放游戏并恢复被覆盖的配置
+   */
+  destroy() {
+    this.gameManager.destroy();
+
+    for (const [path, value] of this.configBackup) {
+      this.configManager.set('gameConfig', path, value);
+    }
+    this.configBackup = [];
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * 无头模拟示例：不用手机，在Node里跑一局网格移动，检查地图生成、拖动移动和收集物品
+ *
+ * 运行（在项目根目录）：
+ *   node game/core/headless/simulate.mjs
+ *   node game/core/headless/simulate.mjs --verbose   # 同时打印游戏自己的日志
+ *
+ * 需要 Node 20.19+ 或 22.12+：
+ * 游戏代码是ES模块，文件后缀却是 .js（微信小游戏要求这样），
+ * 更老的Node会把它们当成CommonJS，一import就报语法错误。
+ *
+ * 每一项检查都会打印 ✅ 或 ❌，有一项没通过退出码就是1，可以直接放进持续集成里跑。
+ * 想检查别的玩法，照着下面的写法加一个 check 就行。
+ */
+
+const [major, minor] = process.versions.node.split('.').map(Number);
+const supported = (major === 20 && minor >= 19) || (major === 22 && minor >= 12) || major >= 23;
+if (!supported) {
+  console.error(`❌ 需要 Node 20.19+ 或 22.12+，现在是 ${process.versions.node}`);
+  process.exit(1);
+}
+
+// 游戏的日志很多，默认不打印，只打印检查结果
+const report = console.log;
+if (!process.argv.includes('--verbose')) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+// 先import运行器（它会装好假的 wx 和 GameGlobal），再import游戏
+const { HeadlessRunner } = await import('./HeadlessRunner.js');
+const { GridMoveGame } = await import('../../games/GridMove/GridMoveGame.js');
+const { GridComponent } = await import('../../games/GridMove/components/GridComponent.js');
+const { ItemComponent } = await import('../../games/GridMove/components/ItemComponent.js');
+const { InventoryComponent } = await import('../../games/GridMove/components/InventoryComponent.js');
+const { TerrainComponent } = await import('../../games/GridMove/components/TerrainComponent.js');
+
+const SEED = 42;
+let failed = 0;
+
+/**
+ * 记录一项检查的结果
+ * @param {string} name - 检查什么
+ * @param {boolean} ok - 是否通过
+ * @param {string} detail - 补充说明
+ */
+function check(name, ok, detail = '') {
+  if (!ok) failed++;
+  report(`${ok ? '✅' : '❌'} ${name}${detail ? `（${detail}）` : ''}`);
+}
+
+/**
+ * 用固定的随机种子开一局网格移动
+ * @returns {Promise<HeadlessRunner>}
+ */
+async function startGame() {
+  const runner = new HeadlessRunner({ config: { 'terrain.randomSeed': SEED } });
+  runner.registerGame('GridMove', GridMoveGame);
+  await runner.start('GridMove');
+  return runner;
+}
+
+/**
+ * 这一局的地图和物品位置，写成一个字符串方便比较
+ * @param {HeadlessRunner} runner - 运行器
+ * @returns {string}
+ */
+function describeWorld(runner) {
+  const terrain = runner.game.terrainEntity.getComponent(TerrainComponent);
+  const items = runner.world.getEntitiesWithComponents([ItemComponent])
+    .map(entity => {
+      const item = entity.getComponent(ItemComponent);
+      return `${item.type}@${item.gridX},${item.gridY}`;
+    })
+    .sort();
+  return JSON.stringify({ terrain: terrain.terrainMap, items });
+}
+
+// 1. 地图生成：同一个随机种子，两次生成的地图和物品一模一样
+const first = await startGame();
+const firstWorld = describeWorld(first);
+first.destroy();
+
+const runner = await startGame();
+check('同一个种子生成同一张地图和同样的物品', describeWorld(runner) === firstWorld);
+
+// 2. 拖动移动：往右拖，角色往右走
+const grid = runner.game.player.getComponent(GridComponent);
+const startX = grid.gridX;
+runner.drag(300, 400, 360, 400, { holdFrames: 40 });
+runner.step(30);
+check('往右拖动角色会往右走', grid.gridX > startX, `从第${startX}列走到第${grid.gridX}列`);
+
+// 3. 收集：在角色旁边能走的格子上放一枚金币，拖过去就能捡到
+const terrain = runner.game.terrainEntity.getComponent(TerrainComponent);
+const directions = [
+  { dx: 1, dy: 0, drag: [60, 0] },
+  { dx: -1, dy: 0, drag: [-60, 0] },
+  { dx: 0, dy: 1, drag: [0, 60] },
+  { dx: 0, dy: -1, drag: [0, -60] }
+];
+const direction = directions.find(({ dx, dy }) => terrain.isWalkable(grid.gridX + dx, grid.gridY + dy));
+
+if (!direction) {
+  check('角色旁边有能走的格子', false);
+} else {
+  const inventory = runner.game.player.getComponent(InventoryComponent);
+  const coinsBefore = inventory.getItemCount('coin');
+  const coin = runner.world.spawn('coin', { gridX: grid.gridX + direction.dx, gridY: grid.gridY + direction.dy });
+
+  // 拖一小下就松手，角色会走到下一格停下
+  runner.drag(300, 400, 300 + direction.drag[0], 400 + direction.drag[1], { holdFrames: 5 });
+  runner.step(30);
+
+  check('走到金币上会捡起来', inventory.getItemCount('coin') === coinsBefore + 1, `物品栏里有 ${inventory.getItemCount('coin')} 枚金币`);
+  // 捡走的金币要么已经从世界里移除，要么还在但标记成了已收集
+  const coinItem = runner.world.entities.includes(coin) ? coin.getComponent(ItemComponent) : null;
+  check('捡走的金币不能再捡一次', !coinItem || coinItem.collected);
+}
+
+runner.destroy();
+
+report(failed === 0 ? '🎉 全部通过' : `💥 ${failed} 项没通过`);
+process.exitCode = failed === 0 ? 0 : 1;
@@ -0,0 +1,104 @@
+import { Renderer } from '../Renderer.js';
+import { InputManager } from '../InputManager.js';
+
+// 出错阶段的中文名
+const PHASE_NAMES = {
+  init: '初始化',
+  update: '更新',
+  render: '渲染'
+};
+
+/**
+ * ErrorScreen 错误画面
+ * 游戏出错（初始化、更新或渲染时抛出异常）以后，GameManager会释放出错的游戏，
+ * 换成这个画面：告诉玩家出了什么错，再给一个"返回主菜单"的按钮。
+ *
+ * 这里故意不用ECS，只用最简单的画图和触摸，
+ * 这样就算是ECS本身出了问题，错误画面也能正常显示。
+ */
+export class ErrorScreen {
+  /**
+   * @param {Canvas} canvas - 画布
+   * @param {Object} context - 绘图上下文
+   * @param {GameManager} gameManager - 游戏管理器
+   * @param {Object} params - 参数
+   * @param {string} params.gameName - 出错的游戏名称
+   * @param {string} params.phase - 出错的阶段（init/update/render）
+   * @param {Error} params.error - 错误
+   */
+  constructor(canvas, context, gameManager, params = {}) {
+    this.canvas = canvas;
+    this.context = context;
+    this.gameManager = gameManager;
+
+    this.renderer = new Renderer(canvas, context);
+    this.inputManager = new InputManager(canvas);
+
+    this.gameName = params.gameName || '未知游戏';
+    this.phase = PHASE_NAMES[params.phase] || params.phase || '运行';
+    this.message = params.error && params.error.message ? params.error.message : String(params.error);
+
+    // 返回主菜单按钮
+    this.button = {
+      x: (canvas.width - 300) / 2,
+      y: canvas.height * 0.7,
+      width: 300,
+      height: 80
+    };
+
+    // 错误信息最多显示几行（太长的错误信息要折行）
+    this.maxLines = 6;
+  }
+
+  /**
+   * 初始化（只需要监听按钮）
+   */
+  async init() {
+    this.inputManager.onTouchEnd = (x, y) => {
+      const btn = this.button;
+      if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
+        console.log('从错误画面返回主菜单');
+        this.gameManager.switchGame('MainMenu');
+      }
+    };
+  }
+
+  /**
+   * 错误画面没有需要更新的东西
+   */
+  update() {}
+
+  /**
+   * 绘制错误画面
+   */
+  render() {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    this.renderer.clear('#2b0f0f');
+
+    this.renderer.drawText('😵 游戏出错了', width / 2, height * 0.2, '#FF6B6B', 44, 'center');
+    this.renderer.drawText(`"${this.gameName}" ${this.phase} 时发生错误`, width / 2, height * 0.2 + 80, '#FFFFFF', 24, 'center');
+
+    // 错误信息（折行显示）
+    this.renderer.drawTextBlock(this.message, width / 2, height * 0.35, {
+      color: '#FFD6D6',
+      fontSize: 22,
+      align: 'center',
+      maxWidth: width - 120,
+      lineHeight: 34,
+      maxLines: this.maxLines
+    });
+
+    const btn = this.button;
+    this.renderer.drawRect(btn.x, btn.y, btn.width, btn.height, '#2196F3');
+    this.renderer.drawText('返回主菜单', width / 2, btn.y + 25, '#FFFFFF', 28, 'center');
+  }
+
+  /**
+   * 释放资源
+   */
+  release() {
+    this.inputManager.destroy();
+  }
+}
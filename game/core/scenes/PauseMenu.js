@@ -0,0 +1,153 @@
+import { World } from '../ecs/World.js';
+import { Renderer } from '../Renderer.js';
+import { InputManager } from '../InputManager.js';
+import { RenderSystem } from '../systems/RenderSystem.js';
+import { InputSystem } from '../systems/InputSystem.js';
+import { PositionComponent } from '../components/PositionComponent.js';
+import { RenderComponent } from '../components/RenderComponent.js';
+import { InputComponent } from '../components/InputComponent.js';
+
+/**
+ * PauseMenu 暂停菜单
+ * 用 gameManager.pushScene() 盖在游戏上面的场景：
+ * 画面变暗，中间一个面板，面板上有几个按钮
+ *
+ * 用法：
+ *   this.gameManager.pushScene(PauseMenu);
+ *
+ * 也可以换成自己的标题和按钮，当作对话框、结算画面来用：
+ *   this.gameManager.pushScene(PauseMenu, {
+ *     title: '收集完成！',
+ *     buttons: [
+ *       { text: '再来一局', onTap: () => ... },
+ *       { text: '返回主菜单', onTap: (gameManager) => gameManager.finishGame() }
+ *     ]
+ *   });
+ */
+export class PauseMenu {
+  /**
+   * @param {Canvas} canvas - 画布
+   * @param {Object} context - 绘图上下文
+   * @param {GameManager} gameManager - 游戏管理器
+   * @param {Object} params - 参数
+   * @param {string} params.title - 标题（默认"暂停"）
+   * @param {Array} params.buttons - 按钮列表 [{ text, color, onTap(gameManager) }]
+   */
+  constructor(canvas, context, gameManager, params = {}) {
+    this.canvas = canvas;
+    this.context = context;
+    this.gameManager = gameManager;
+
+    // 暂停菜单有自己的小世界，按钮都是实体
+    this.world = new World();
+    this.renderer = new Renderer(canvas, context);
+    this.inputManager = new InputManager(canvas);
+
+    this.title = params.title || '暂停';
+    this.buttons = params.buttons || [
+      { text: '继续游戏', onTap: (manager) => manager.popScene() },
+      { text: '返回主菜单', color: '#607D8B', onTap: (manager) => manager.finishGame() }
+    ];
+
+    // 按钮大小
+    this.buttonWidth = 280;
+    this.buttonHeight = 70;
+    this.buttonSpacing = 30;
+
+    // 面板大小（根据按钮数量计算）
+    this.panelWidth = 400;
+    this.panelHeight = 140 + this.buttons.length * (this.buttonHeight + this.buttonSpacing);
+  }
+
+  /**
+   * 初始化场景
+   */
+  async init() {
+    this.world.registerSystem(new RenderSystem(this.renderer));
+    this.world.registerSystem(new InputSystem(this.inputManager));
+
+    const centerX = this.canvas.width / 2;
+    const panelTop = (this.canvas.height - this.panelHeight) / 2;
+
+    this.buttons.forEach((button, index) => {
+      const y = panelTop + 140 + index * (this.buttonHeight + this.buttonSpacing) + this.buttonHeight / 2;
+      this._createButton(centerX, y, button);
+    });
+  }
+
+  /**
+   * 创建一个按钮（文字是按钮的子实体）
+   * @private
+   */
+  _createButton(x, y, button) {
+    const entity = this.world.createEntity();
+    entity.addComponent(new PositionComponent(x, y));
+    entity.addComponent(new RenderComponent('rect', {
+      width: this.buttonWidth,
+      height: this.buttonHeight,
+      color: button.color || '#2196F3',
+      zIndex: 5
+    }));
+    entity.addComponent(new InputComponent({
+      touchable: true,
+      draggable: false,
+      onTouchEnd: () => {
+        console.log(`点击了按钮: ${button.text}`);
+        if (button.onTap) {
+          button.onTap(this.gameManager);
+        }
+      }
+    }));
+
+    // 文字从顶部开始画，往上挪半个字高让它在按钮正中间
+    const label = this.world.createEntity();
+    label.addComponent(new PositionComponent(0, -14));
+    label.addComponent(new RenderComponent('text', {
+      text: button.text,
+      fontSize: 28,
+      color: '#FFFFFF',
+      textAlign: 'center',
+      zIndex: 6
+    }));
+    label.setParent(entity);
+
+    return entity;
+  }
+
+  /**
+   * 更新场景
+   * @param {number} deltaTime - 这一步的时间（毫秒）
+   */
+  update(deltaTime) {
+    this.world.update(deltaTime);
+  }
+
+  /**
+   * 渲染场景（不清空画布，下面的游戏画面要透出来）
+   * @param {number} alpha - 渲染插值系数（0~1）
+   */
+  render(alpha = 1) {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const panelX = (width - this.panelWidth) / 2;
+    const panelY = (height - this.panelHeight) / 2;
+
+    // 把下面的游戏画面压暗
+    this.renderer.drawRect(0, 0, width, height, 'rgba(0, 0, 0, 0.6)');
+
+    // 面板和标题
+    this.renderer.drawRect(panelX, panelY, this.panelWidth, this.panelHeight, '#1a1a2e');
+    this.renderer.drawRectStroke(panelX, panelY, this.panelWidth, this.panelHeight, '#FFD700', 3);
+    this.renderer.drawText(this.title, width / 2, panelY + 40, '#FFD700', 40, 'center');
+
+    this.world.render(alpha);
+  }
+
+  /**
+   * 释放场景资源
+   */
+  release() {
+    this.world.destroy();
+    this.inputManager.destroy();
+  }
+}
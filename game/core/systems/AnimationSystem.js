@@ -1,8 +1,9 @@
-import { System } from '../ecs/System.js';
+import { System, SYSTEM_PHASES } from '../ecs/System.js';
 import { AnimationComponent } from '../components/AnimationComponent.js';
 import { RenderComponent } from '../components/RenderComponent.js';
 import { MovementComponent } from '../components/MovementComponent.js';
 import { PositionComponent } from '../components/PositionComponent.js';
+import { getAtlas } from '../utils/TextureAtlas.js';
 
 /**
  * AnimationSystem 动画系统
@@ -13,10 +14,15 @@ import { PositionComponent } from '../components/PositionComponent.js';
 export class AnimationSystem extends System {
   constructor() {
     super();
+    this.name = 'AnimationSystem';
     
     // 系统需要的组件类型
     this.requiredComponents = [AnimationComponent, RenderComponent];
     
+    // 等移动逻辑算完后再决定播放哪个动画
+    this.phase = SYSTEM_PHASES.POST_UPDATE;
+    this.priority = 10;
+    
     // 系统配置
     this.enabled = true;
     this.debug = false;
@@ -46,6 +52,16 @@ export class AnimationSystem extends System {
     };
   }
 
+  /**
+   * 系统初始化
+   * 动画组件被移除（或实体被销毁）时，清理它的状态缓存
+   */
+  init() {
+    this.onComponentRemoved(AnimationComponent, (animationComp, entity) => {
+      this.clearEntityState(entity);
+    });
+  }
+
   /**
    * 更新系统
    * @param {number} deltaTime - 距离上一帧的时间（毫秒）
@@ -242,7 +258,19 @@ export class AnimationSystem extends System {
   _updateRenderComponent(animationComp, renderComp) {
     const currentFrame = animationComp.getCurrentFrame();
     
-    if (currentFrame) {
+    if (typeof currentFrame === 'string') {
+      // 帧是图集里的名字：切换到图集渲染模式
+      renderComp.type = 'sprite';
+      renderComp.atlas = animationComp.atlas;
+      renderComp.frame = currentFrame;
+      
+      const atlas = getAtlas(animationComp.atlas);
+      const frame = atlas ? atlas.getFrame(currentFrame) : null;
+      if (frame) {
+        renderComp.width = frame.width;
+        renderComp.height = frame.height;
+      }
+    } else if (currentFrame) {
       // 切换到图片渲染模式
       renderComp.type = 'image';
       renderComp.image = currentFrame;
@@ -1,5 +1,5 @@
-import { System } from '../ecs/System.js';
-import { PositionComponent } from '../components/PositionComponent.js';
+import { System, SYSTEM_PHASES } from '../ecs/System.js';
+import { PositionComponent, getWorldPosition } from '../components/PositionComponent.js';
 import { InputComponent } from '../components/InputComponent.js';
 import { RenderComponent } from '../components/RenderComponent.js';
 
@@ -12,6 +12,7 @@ import { RenderComponent } from '../components/RenderComponent.js';
 export class InputSystem extends System {
   constructor(inputManager) {
     super();
+    this.name = 'InputSystem';
     
     // 输入管理器
     this.inputManager = inputManager;
@@ -19,6 +20,12 @@ export class InputSystem extends System {
     // 需要的组件类型
     this.requiredComponents = [PositionComponent, InputComponent];
     
+    // 世界暂停时按钮也要能点
+    this.useUnscaledTime = true;
+    
+    // 读取触摸输入，要在游戏逻辑之前执行
+    this.phase = SYSTEM_PHASES.PRE_UPDATE;
+    
     // 当前被触摸的实体
     this.touchedEntity = null;
     
@@ -45,6 +52,11 @@ export class InputSystem extends System {
     this.inputManager.onTouchEnd = (x, y) => {
       this._handleTouchEnd(x, y);
     };
+    
+    // 触摸被打断（开始双指缩放等）
+    this.inputManager.onTouchCancel = () => {
+      this._handleTouchCancel();
+    };
   }
   
   /**
@@ -134,12 +146,26 @@ export class InputSystem extends System {
     this.touchedEntity = null;
   }
   
+  /**
+   * 处理触摸被打断：停止拖拽，但不算点击（不调用实体的onTouchEnd）
+   * @private
+   */
+  _handleTouchCancel() {
+    if (!this.touchedEntity) return;
+    
+    const input = this.touchedEntity.getComponent(InputComponent);
+    input.dragging = false;
+    
+    this.touchedEntity = null;
+  }
+  
   /**
    * 检查触摸点是否在实体范围内
    * @private
    */
   _isTouchInEntity(x, y, entity) {
-    const position = entity.getComponent(PositionComponent);
+    // 子实体的坐标是相对父实体的，要换算成世界位置再比较
+    const position = getWorldPosition(entity);
     const render = entity.getComponent(RenderComponent);
     
     if (!render) return false;
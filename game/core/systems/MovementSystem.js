@@ -1,4 +1,4 @@
-import { System } from '../ecs/System.js';
+import { System, SYSTEM_PHASES } from '../ecs/System.js';
 import { PositionComponent } from '../components/PositionComponent.js';
 import { MovementComponent } from '../components/MovementComponent.js';
 
@@ -11,9 +11,13 @@ import { MovementComponent } from '../components/MovementComponent.js';
 export class MovementSystem extends System {
   constructor() {
     super();
+    this.name = 'MovementSystem';
     
     // 需要的组件类型
     this.requiredComponents = [PositionComponent, MovementComponent];
+    
+    // 移动是最基础的游戏逻辑，同阶段内最先执行
+    this.phase = SYSTEM_PHASES.UPDATE;
   }
   
   /**
@@ -29,6 +33,9 @@ export class MovementSystem extends System {
       const position = entity.getComponent(PositionComponent);
       const movement = entity.getComponent(MovementComponent);
       
+      // 记住移动前的位置，渲染时在两步之间插值
+      position.savePrevious();
+      
       // 如果有目标位置，向目标移动
       if (movement.targetX !== null && movement.targetY !== null) {
         this._moveToTarget(position, movement, deltaSeconds);
@@ -1,27 +1,41 @@
-import { System } from '../ecs/System.js';
-import { PositionComponent } from '../components/PositionComponent.js';
-import { RenderComponent } from '../components/RenderComponent.js';
-import { ItemComponent } from '../../games/GridMove/components/ItemComponent.js';
+import { System, SYSTEM_PHASES } from '../ecs/System.js';
+import { PositionComponent, getWorldPosition } from '../components/PositionComponent.js';
+import { RenderComponent, isVisibleInHierarchy } from '../components/RenderComponent.js';
 
 /**
  * RenderSystem 渲染系统
  * 负责绘制所有拥有位置和渲染组件的实体
- * 🎁 现在支持物品渲染！
  * 
  * 这个系统遍历所有需要渲染的实体，根据它们的渲染组件画出来
+ * 子实体的位置是相对父实体的，画之前先换算成世界位置
+ * （GridMove的物品有自己的 ItemRenderSystem）
+ * 
+ * 给了摄像机的话，画面外的实体直接跳过，不排序也不画
  */
 export class RenderSystem extends System {
-  constructor(renderer, cellSize = 50) {
+  /**
+   * @param {Renderer} renderer - 渲染器
+   * @param {Camera} camera - 摄像机（可选，没有就全部都画）
+   */
+  constructor(renderer, camera = null) {
     super();
+    this.name = 'RenderSystem';
     
     // 渲染器
     this.renderer = renderer;
     
-    // 格子大小（用于物品渲染）
-    this.cellSize = cellSize;
+    // 摄像机（用来判断实体在不在画面里）
+    this.camera = camera;
+    
+    // 上一帧因为在画面外被跳过的实体数量（调试用）
+    this.culledCount = 0;
+    
+    // 需要的组件类型
+    this.requiredComponents = [PositionComponent, RenderComponent];
     
-    // 需要的组件类型（只需要位置组件，因为物品没有RenderComponent）
-    this.requiredComponents = [PositionComponent];
+    // 在地形等背景之后绘制实体
+    this.phase = SYSTEM_PHASES.RENDER;
+    this.priority = 100;
   }
   
   /**
@@ -36,44 +50,88 @@ export class RenderSystem extends System {
   /**
    * 渲染系统
    * @param {Array<Entity>} entities - 符合条件的实体列表
+   * @param {number} alpha - 渲染插值系数（0~1）
    */
-  render(entities) {
-    // 按照zIndex排序，zIndex大的后绘制（显示在上层）
-    const sortedEntities = entities.slice().sort((a, b) => {
-      const renderA = a.getComponent(RenderComponent);
-      const renderB = b.getComponent(RenderComponent);
-      const zIndexA = renderA ? renderA.zIndex : 0;
-      const zIndexB = renderB ? renderB.zIndex : 0;
-      return zIndexA - zIndexB;
-    });
-    
-    // 绘制所有实体
-    for (const entity of sortedEntities) {
-      const position = entity.getComponent(PositionComponent);
-      if (!position) continue;
+  render(entities, alpha = 1) {
+    const visibleRect = this.camera ? this.camera.getVisibleRect() : null;
+    const drawList = [];
+    this.culledCount = 0;
+    
+    // 先挑出要画的实体，画面外的不用参加排序
+    for (const entity of entities) {
+      // 父实体被隐藏时子实体也不画
+      if (!isVisibleInHierarchy(entity)) continue;
       
-      // 🎁 优先检查是否是物品实体
-      const itemComponent = entity.getComponent(ItemComponent);
-      if (itemComponent) {
-        this._renderItem(position, itemComponent);
+      // 会移动的实体画在上一步和这一步之间，静止的实体直接用当前位置
+      const { x, y } = getWorldPosition(entity, alpha);
+      const render = entity.getComponent(RenderComponent);
+      
+      if (visibleRect && !this._isInRect(x, y, render, visibleRect)) {
+        this.culledCount++;
         continue;
       }
       
-      // 普通实体渲染
-      const render = entity.getComponent(RenderComponent);
-      if (!render || !render.visible) continue;
-      
-      this._renderEntity(position, render);
+      drawList.push({ x, y, render });
+    }
+    
+    // 按照zIndex排序，zIndex大的后绘制（显示在上层）
+    drawList.sort((a, b) => a.render.zIndex - b.render.zIndex);
+    
+    for (const item of drawList) {
+      this._renderEntity(item.x, item.y, item.render);
+    }
+  }
+  
+  /**
+   * 实体画出来的范围和可见范围有没有重叠
+   * 文字量不出真实宽度，按每个字一个字号宽往两边估，宁可多画也不要漏画
+   * @param {number} x - 实体世界X坐标
+   * @param {number} y - 实体世界Y坐标
+   * @param {RenderComponent} render - 渲染组件
+   * @param {Object} rect - 可见范围 { left, top, right, bottom }
+   * @returns {boolean}
+   * @private
+   */
+  _isInRect(x, y, render, rect) {
+    let halfWidth = 0;
+    let halfHeight = 0;
+    
+    switch (render.type) {
+      case 'rect':
+      case 'image':
+      case 'sprite':
+        halfWidth = render.width / 2;
+        halfHeight = render.height / 2;
+        break;
+      case 'circle':
+        halfWidth = halfHeight = render.radius;
+        break;
+      case 'text': {
+        const fontSize = render.fontSize || 16;
+        if (render.textStyle) {
+          // 多行文字能量出排版后的大小，从y往下画
+          const block = this.renderer.measureTextBlock(render.text, { ...render.textStyle, fontSize });
+          halfWidth = block.width;
+          halfHeight = block.height;
+        } else {
+          halfWidth = fontSize * (render.text ? String(render.text).length : 0);
+          halfHeight = fontSize;
+        }
+        break;
+      }
     }
+    
+    return x + halfWidth >= rect.left && x - halfWidth <= rect.right &&
+           y + halfHeight >= rect.top && y - halfHeight <= rect.bottom;
   }
   
   /**
    * 渲染普通实体
-   * @param {PositionComponent} position - 位置组件
+   * @param {number} x - 绘制位置X
+   * @param {number} y - 绘制位置Y
    * @param {RenderComponent} render - 渲染组件
    */
-  _renderEntity(position, render) {
-    const { x, y } = position;
+  _renderEntity(x, y, render) {
     const { type, color, width, height, radius } = render;
     
     switch (type) {
@@ -88,6 +146,12 @@ export class RenderSystem extends System {
           this.renderer.drawImage(render.image, x - width/2, y - height/2, width, height);
         }
         break;
+      case 'sprite':
+        // 图集还没加载好时drawSprite什么都不画
+        if (render.atlas) {
+          this.renderer.drawSprite(render.atlas, render.frame, x - width/2, y - height/2, { width, height });
+        }
+        break;
       case 'text':
         // 渲染文本（如果有的话）
         if (render.text) {
@@ -95,149 +159,16 @@ export class RenderSystem extends System {
           const textColor = render.color || '#FFFFFF';
           // 兼容 align 和 textAlign 两种写法
           const align = render.textAlign || render.align || 'center';
-          this.renderer.drawText(render.text, x, y, textColor, fontSize, align);
+          if (render.textStyle) {
+            // textStyle 里写了颜色、字号、对齐就用它的，没写才用组件上的
+            this.renderer.drawTextBlock(render.text, x, y, { color: textColor, fontSize, align, ...render.textStyle });
+          } else {
+            this.renderer.drawText(render.text, x, y, textColor, fontSize, align);
+          }
         }
         break;
       default:
         console.warn(`未知的渲染类型: ${type}`);
     }
   }
-  
-  /**
-   * 渲染物品实体
-   * @param {PositionComponent} position - 位置组件
-   * @param {ItemComponent} item - 物品组件
-   */
-  _renderItem(position, item) {
-    // 跳过已收集的物品
-    if (item.collected) return;
-    
-    const { x, y } = position;
-    const { config } = item;
-    
-    // 应用透明度（收集特效可能会设置）
-    const alpha = config.alpha !== undefined ? config.alpha : 1.0;
-    if (alpha <= 0) return;
-    
-    // 保存当前状态
-    this.renderer.context.save();
-    
-    // 设置透明度
-    if (alpha < 1.0) {
-      this.renderer.context.globalAlpha = alpha;
-    }
-    
-    // 根据物品形状渲染
-    switch (config.shape) {
-      case 'circle':
-        this._renderItemCircle(x, y, item);
-        break;
-      case 'square':
-        this._renderItemSquare(x, y, item);
-        break;
-      case 'diamond':
-        this._renderItemDiamond(x, y, item);
-        break;
-      default:
-        this._renderItemCircle(x, y, item); // 默认圆形
-    }
-    
-    // 恢复状态
-    this.renderer.context.restore();
-  }
-  
-  /**
-   * 渲染圆形物品（如金币）
-   */
-  _renderItemCircle(x, y, item) {
-    const radius = item.getRenderRadius(this.cellSize);
-    
-    // 绘制物品主体
-    this.renderer.context.beginPath();
-    this.renderer.context.arc(x, y, radius, 0, Math.PI * 2);
-    this.renderer.context.fillStyle = item.config.color;
-    this.renderer.context.fill();
-    
-    // 绘制边框
-    this.renderer.context.strokeStyle = this._darkenColor(item.config.color, 0.3);
-    this.renderer.context.lineWidth = 2;
-    this.renderer.context.stroke();
-    
-    // 金币特效：内部高光
-    if (item.type === 'coin') {
-      this.renderer.context.beginPath();
-      this.renderer.context.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.4, 0, Math.PI * 2);
-      this.renderer.context.fillStyle = 'rgba(255, 255, 255, 0.6)';
-      this.renderer.context.fill();
-    }
-  }
-  
-  /**
-   * 渲染方形物品（如石块）
-   */
-  _renderItemSquare(x, y, item) {
-    const size = item.getRenderRadius(this.cellSize) * 2; // 方形的边长
-    const halfSize = size / 2;
-    
-    // 绘制物品主体
-    this.renderer.context.fillStyle = item.config.color;
-    this.renderer.context.fillRect(x - halfSize, y - halfSize, size, size);
-    
-    // 绘制边框
-    this.renderer.context.strokeStyle = this._darkenColor(item.config.color, 0.3);
-    this.renderer.context.lineWidth = 2;
-    this.renderer.context.strokeRect(x - halfSize, y - halfSize, size, size);
-  }
-  
-  /**
-   * 渲染菱形物品（如种子）
-   */
-  _renderItemDiamond(x, y, item) {
-    const radius = item.getRenderRadius(this.cellSize);
-    
-    // 绘制菱形
-    this.renderer.context.beginPath();
-    this.renderer.context.moveTo(x, y - radius);      // 上
-    this.renderer.context.lineTo(x + radius, y);      // 右
-    this.renderer.context.lineTo(x, y + radius);      // 下
-    this.renderer.context.lineTo(x - radius, y);      // 左
-    this.renderer.context.closePath();
-    
-    // 填充
-    this.renderer.context.fillStyle = item.config.color;
-    this.renderer.context.fill();
-    
-    // 边框
-    this.renderer.context.strokeStyle = this._darkenColor(item.config.color, 0.3);
-    this.renderer.context.lineWidth = 2;
-    this.renderer.context.stroke();
-    
-    // 种子特效：中间的小点
-    if (item.type === 'seed') {
-      this.renderer.context.beginPath();
-      this.renderer.context.arc(x, y, radius * 0.3, 0, Math.PI * 2);
-      this.renderer.context.fillStyle = this._darkenColor(item.config.color, 0.5);
-      this.renderer.context.fill();
-    }
-  }
-  
-  /**
-   * 颜色加深工具函数
-   */
-  _darkenColor(color, factor) {
-    // 简单的颜色加深实现
-    if (color.startsWith('#')) {
-      const hex = color.slice(1);
-      const r = parseInt(hex.substr(0, 2), 16);
-      const g = parseInt(hex.substr(2, 2), 16);
-      const b = parseInt(hex.substr(4, 2), 16);
-      
-      const newR = Math.floor(r * (1 - factor));
-      const newG = Math.floor(g * (1 - factor));
-      const newB = Math.floor(b * (1 - factor));
-      
-      return `rgb(${newR}, ${newG}, ${newB})`;
-    }
-    return color;
-  }
 }
\ No newline at end of file
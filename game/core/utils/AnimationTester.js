@@ -121,7 +121,7 @@ export class AnimationTester {
         throw new Error('玩家实体不存在');
       }
       
-      const animationComp = game.player.getComponent(game.world.systems.find(s => s.constructor.name === 'AnimationSystem')?.requiredComponents?.find(c => c.name === 'AnimationComponent'));
+      const animationComp = game.player.getComponent(game.world.systems.find(s => s.name === 'AnimationSystem')?.requiredComponents?.find(c => c.name === 'AnimationComponent'));
       
       // 由于我们使用的是导入的类，直接检查组件是否存在
       const components = game.player.components;
@@ -159,7 +159,7 @@ export class AnimationTester {
       
       // 检查系统是否已注册到世界中
       const hasAnimationSystem = game.world.systems.some(system => 
-        system.constructor.name === 'AnimationSystem'
+        system.name === 'AnimationSystem'
       );
       
       if (!hasAnimationSystem) {
@@ -185,7 +185,7 @@ export class AnimationTester {
         throw new Error('玩家实体不存在');
       }
       
-      const renderComp = game.player.getComponent(game.world.systems.find(s => s.constructor.name === 'RenderSystem')?.requiredComponents?.find(c => c.name === 'RenderComponent'));
+      const renderComp = game.player.getComponent(game.world.systems.find(s => s.name === 'RenderSystem')?.requiredComponents?.find(c => c.name === 'RenderComponent'));
       
       if (game.characterAnimations) {
         // 如果有动画，应该使用image渲染
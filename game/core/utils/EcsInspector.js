@@ -0,0 +1,388 @@
+import { PositionComponent, getWorldPosition } from '../components/PositionComponent.js';
+import { RenderComponent } from '../components/RenderComponent.js';
+import { getComponentName } from '../ecs/ComponentRegistry.js';
+
+/**
+ * EcsInspector ECS检查器
+ * 一个画在游戏画面上的调试面板，可以随时打开/关闭
+ *
+ * 面板上能看到：
+ * - 每个系统每帧的update/render耗时，以及它处理了多少个实体
+ * - 世界里的所有实体和它们拥有的组件
+ * - 选中的实体的每个组件的实时数据
+ *
+ * 点面板里的实体可以选中它，也可以直接点游戏画面里的角色、物品来选中。
+ * 这样调试时就不用在一大堆控制台日志里找数据啦！
+ */
+export class EcsInspector {
+  /**
+   * @param {Renderer} renderer - 渲染器
+   * @param {World} world - 要检查的ECS世界
+   * @param {Object} area - 面板的位置和大小 { x, y, width, height }
+   */
+  constructor(renderer, world, area) {
+    this.renderer = renderer;
+    this.world = world;
+
+    // 面板区域（屏幕坐标）
+    this.x = area.x;
+    this.y = area.y;
+    this.width = area.width;
+    this.height = area.height;
+
+    // 是否显示
+    this.visible = false;
+
+    // 选中的实体
+    this.selectedEntity = null;
+
+    // 实体列表翻页
+    this.entityPage = 0;
+    this.entitiesPerPage = 8;
+
+    // 文字排版
+    this.padding = 10;
+    this.lineHeight = 18;
+    this.fontSize = 14;
+
+    // 点击游戏画面选实体时，离实体中心多近算点中（像素）
+    this.pickRadius = 25;
+
+    // 世界坐标 → 屏幕坐标（由游戏设置，用来给选中的实体画框）
+    // (x, y) => ({ x, y })
+    this.worldToScreen = null;
+
+    // 实体列表每一行和翻页按钮的点击区域（渲染时记录）
+    this._entityRows = [];
+    this._pageButtons = [];
+  }
+
+  /**
+   * 打开/关闭面板
+   */
+  toggle() {
+    this.setVisible(!this.visible);
+  }
+
+  /**
+   * 设置是否显示
+   * 打开面板时向World要系统耗时，关上就不要了（性能分析器也在要的话，World会接着统计）
+   * @param {boolean} visible - 是否显示
+   */
+  setVisible(visible) {
+    if (this.visible === visible) return;
+
+    this.visible = visible;
+    if (visible) {
+      this.world.requestTiming();
+    } else {
+      this.world.releaseTiming();
+    }
+    console.log(visible ? '🔍 打开ECS检查器' : '🔍 关闭ECS检查器');
+  }
+
+  /**
+   * 检查某个屏幕坐标是否在面板里
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @returns {boolean}
+   */
+  containsPoint(x, y) {
+    return this.visible &&
+           x >= this.x && x <= this.x + this.width &&
+           y >= this.y && y <= this.y + this.height;
+  }
+
+  /**
+   * 处理面板上的点击
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @returns {boolean} 点击是否落在面板上（落在面板上的点击不要再交给游戏处理）
+   */
+  handleTap(x, y) {
+    if (!this.containsPoint(x, y)) return false;
+
+    for (const button of this._pageButtons) {
+      if (this._inRect(x, y, button)) {
+        this._changePage(button.delta);
+        return true;
+      }
+    }
+
+    for (const row of this._entityRows) {
+      if (this._inRect(x, y, row)) {
+        this.select(row.entity);
+        return true;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 选中实体
+   * @param {Entity|null} entity - 要选中的实体
+   */
+  select(entity) {
+    this.selectedEntity = entity;
+    if (entity) {
+      console.log(`🔍 选中实体 #${entity.id}`);
+    }
+  }
+
+  /**
+   * 选中世界坐标附近的实体
+   * 有好几个实体时选画在最上层的，一样高时选离得最近的
+   * @param {number} worldX - 世界X坐标
+   * @param {number} worldY - 世界Y坐标
+   * @returns {Entity|null} 选中的实体
+   */
+  selectAt(worldX, worldY) {
+    let best = null;
+    let bestZIndex = -Infinity;
+    let bestDistance = Infinity;
+
+    for (const entity of this.world.getEntitiesWithComponent(PositionComponent)) {
+      const position = getWorldPosition(entity);
+      const render = entity.getComponent(RenderComponent);
+      const dx = worldX - position.x;
+      const dy = worldY - position.y;
+
+      if (!this._isPicked(dx, dy, render)) continue;
+
+      const zIndex = render ? render.zIndex : 0;
+      const distance = dx * dx + dy * dy;
+      if (zIndex > bestZIndex || (zIndex === bestZIndex && distance < bestDistance)) {
+        best = entity;
+        bestZIndex = zIndex;
+        bestDistance = distance;
+      }
+    }
+
+    this.select(best);
+    return best;
+  }
+
+  /**
+   * 检查点击位置是否点中了实体
+   * @param {number} dx - 点击位置到实体中心的X距离
+   * @param {number} dy - 点击位置到实体中心的Y距离
+   * @param {RenderComponent|null} render - 实体的渲染组件
+   * @returns {boolean}
+   * @private
+   */
+  _isPicked(dx, dy, render) {
+    // 矩形按实际大小判断（网格线这种细长的矩形只有点在线上才算）
+    if (render && render.type === 'rect') {
+      return Math.abs(dx) <= Math.max(render.width / 2, 2) &&
+             Math.abs(dy) <= Math.max(render.height / 2, 2);
+    }
+
+    const radius = render && render.type === 'circle'
+      ? Math.max(render.radius, this.pickRadius)
+      : this.pickRadius;
+    return dx * dx + dy * dy <= radius * radius;
+  }
+
+  /**
+   * 绘制面板（在游戏画面之后调用，使用屏幕坐标）
+   */
+  render() {
+    if (!this.visible) return;
+
+    // 选中的实体被移除了就取消选中
+    if (this.selectedEntity && this.selectedEntity.world !== this.world) {
+      this.selectedEntity = null;
+    }
+
+    this._renderSelectionBox();
+
+    this.renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(0, 0, 0, 0.75)');
+    this.renderer.drawRectStroke(this.x, this.y, this.width, this.height, '#00BCD4', 1);
+
+    this.renderer.save();
+    this.renderer.context.beginPath();
+    this.renderer.context.rect(this.x, this.y, this.width, this.height);
+    this.renderer.context.clip();
+
+    let y = this.y + this.padding;
+    y = this._renderHeader(y);
+    y = this._renderSystems(y);
+    y = this._renderEntityList(y);
+    this._renderSelectedEntity(y);
+
+    this.renderer.restore();
+  }
+
+  /**
+   * 绘制标题行
+   * @private
+   */
+  _renderHeader(y) {
+    const world = this.world;
+    const clock = world.paused ? '⏸ 暂停' : `x${world.timeScale}`;
+    this._text(`🔍 ECS检查器  实体 ${world.entities.length}  系统 ${world.systems.length}  ${clock}`, y, '#00BCD4');
+    return y + this.lineHeight + 4;
+  }
+
+  /**
+   * 绘制系统耗时
+   * @private
+   */
+  _renderSystems(y) {
+    this._text('系统            更新ms  渲染ms  实体', y, '#AAAAAA');
+    y += this.lineHeight;
+
+    for (const timing of this.world.getSystemTimings()) {
+      const name = timing.name.replace(/System$/, '').padEnd(14).slice(0, 14);
+      const color = timing.enabled ? '#FFFFFF' : '#666666';
+      this._text(
+        `${name}  ${timing.update.toFixed(2).padStart(6)}  ${timing.render.toFixed(2).padStart(6)}  ${timing.entityCount}`,
+        y,
+        color
+      );
+      y += this.lineHeight;
+    }
+
+    return y + 4;
+  }
+
+  /**
+   * 绘制实体列表（一页一页地显示）
+   * @private
+   */
+  _renderEntityList(y) {
+    const entities = this.world.entities;
+    const pageCount = Math.max(1, Math.ceil(entities.length / this.entitiesPerPage));
+    this.entityPage = Math.min(this.entityPage, pageCount - 1);
+
+    // 标题和翻页按钮
+    this._text(`实体（${this.entityPage + 1}/${pageCount}页）`, y, '#AAAAAA');
+    const buttonWidth = 36;
+    const right = this.x + this.width - this.padding;
+    this._pageButtons = [
+      { x: right - buttonWidth * 2 - 6, y: y - 2, width: buttonWidth, height: this.lineHeight, delta: -1, label: '◀' },
+      { x: right - buttonWidth, y: y - 2, width: buttonWidth, height: this.lineHeight, delta: 1, label: '▶' }
+    ];
+    for (const button of this._pageButtons) {
+      this.renderer.drawRect(button.x, button.y, button.width, button.height, '#37474F');
+      this.renderer.drawText(button.label, button.x + button.width / 2, button.y + 2, '#FFFFFF', this.fontSize, 'center');
+    }
+    y += this.lineHeight + 2;
+
+    // 实体行
+    this._entityRows = [];
+    const start = this.entityPage * this.entitiesPerPage;
+    for (const entity of entities.slice(start, start + this.entitiesPerPage)) {
+      const row = { x: this.x, y: y - 1, width: this.width, height: this.lineHeight, entity };
+      this._entityRows.push(row);
+
+      if (entity === this.selectedEntity) {
+        this.renderer.drawRect(row.x, row.y, row.width, row.height, 'rgba(0, 188, 212, 0.35)');
+      }
+
+      const names = Array.from(entity.components.values()).map(component => this._shortName(component));
+      this._text(`#${entity.id} ${names.join(',')}`, y, '#FFFFFF');
+      y += this.lineHeight;
+    }
+
+    return y + 4;
+  }
+
+  /**
+   * 绘制选中实体的组件数据
+   * @private
+   */
+  _renderSelectedEntity(y) {
+    const entity = this.selectedEntity;
+    if (!entity) {
+      this._text('点一下实体来查看它的组件', y, '#888888');
+      return;
+    }
+
+    const parent = entity.parent ? `  父实体 #${entity.parent.id}` : '';
+    const children = entity.children.length > 0 ? `  子实体 ${entity.children.length}个` : '';
+    this._text(`实体 #${entity.id}${parent}${children}`, y, '#FFD700');
+    y += this.lineHeight;
+
+    const bottom = this.y + this.height - this.padding;
+    for (const component of entity.components.values()) {
+      if (y > bottom) return;
+
+      this._text(this._shortName(component), y, '#00BCD4');
+      y += this.lineHeight;
+
+      const data = component.serialize();
+      for (const key of Object.keys(data)) {
+        if (y > bottom) return;
+
+        this._text(`  ${key}: ${this._formatValue(data[key])}`, y, '#DDDDDD');
+        y += this.lineHeight;
+      }
+    }
+  }
+
+  /**
+   * 在游戏画面里给选中的实体画一个框
+   * @private
+   */
+  _renderSelectionBox() {
+    if (!this.selectedEntity || !this.worldToScreen) return;
+    if (!this.selectedEntity.hasComponent(PositionComponent)) return;
+
+    const position = getWorldPosition(this.selectedEntity);
+    const screen = this.worldToScreen(position.x, position.y);
+    const size = this.pickRadius * 2;
+    this.renderer.drawRectStroke(screen.x - size / 2, screen.y - size / 2, size, size, '#FF4081', 2);
+  }
+
+  /**
+   * 翻页
+   * @private
+   */
+  _changePage(delta) {
+    const pageCount = Math.max(1, Math.ceil(this.world.entities.length / this.entitiesPerPage));
+    this.entityPage = Math.max(0, Math.min(pageCount - 1, this.entityPage + delta));
+  }
+
+  /**
+   * 组件的短名字（去掉Component后缀）
+   * @private
+   */
+  _shortName(component) {
+    const name = getComponentName(component.constructor) || component.constructor.name;
+    return name.replace(/Component$/, '');
+  }
+
+  /**
+   * 把数据变成一行短文字
+   * @private
+   */
+  _formatValue(value) {
+    let text;
+    if (typeof value === 'number') {
+      text = Number.isInteger(value) ? String(value) : value.toFixed(2);
+    } else {
+      text = JSON.stringify(value);
+    }
+
+    return text.length > 32 ? `${text.slice(0, 31)}…` : text;
+  }
+
+  /**
+   * 在面板里写一行字
+   * @private
+   */
+  _text(text, y, color) {
+    this.renderer.drawText(text, this.x + this.padding, y, color, this.fontSize, 'left');
+  }
+
+  /**
+   * 检查点是否在矩形里
+   * @private
+   */
+  _inRect(x, y, rect) {
+    return x >= rect.x && x <= rect.x + rect.width &&
+           y >= rect.y && y <= rect.y + rect.height;
+  }
+}
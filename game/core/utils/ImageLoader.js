@@ -4,6 +4,8 @@
  * 
  * 这个工具帮助我们管理游戏中的所有图片资源，让游戏运行更流畅！
  */
+import { TextureAtlas, registerAtlas } from './TextureAtlas.js';
+
 export class ImageLoader {
   constructor() {
     // 图片缓存，用Map存储已加载的图片
@@ -146,6 +148,80 @@ export class ImageLoader {
     return results;
   }
 
+  /**
+   * 加载图集：先读图集描述（JSON），再加载里面写的大图
+   * 描述里用 image 写大图的路径（相对JSON文件所在的文件夹），帧的写法见 TextureAtlas.fromJSON
+   *
+   *   // res/items.json: { "image": "items.png", "frames": { "coin": { "x": 0, "y": 0, "width": 32, "height": 32 } } }
+   *   await imageLoader.loadAtlas('res/items.json', 'items');
+   *
+   * @param {string|Object} source - 描述JSON文件的路径，或者已经读好的描述数据
+   * @param {string} name - 登记的图集名字（可选，登记后可以在 drawSprite 和 RenderComponent 里用名字引用）
+   * @returns {Promise<TextureAtlas>} 加载完成的图集
+   */
+  async loadAtlas(source, name = null) {
+    const data = typeof source === 'string' ? await this._loadJSON(source) : source;
+    
+    // TexturePacker导出的JSON把图片路径写在meta里
+    const imagePath = data.image || (data.meta && data.meta.image);
+    if (!imagePath) {
+      throw new Error(`Atlas has no image: ${typeof source === 'string' ? source : name}`);
+    }
+    
+    let url = imagePath;
+    if (typeof source === 'string' && source.includes('/') && !/^(\/|[a-z]+:)/i.test(imagePath)) {
+      url = source.slice(0, source.lastIndexOf('/') + 1) + imagePath;
+    }
+    
+    const image = await this.loadImage(url);
+    const atlas = TextureAtlas.fromJSON(image, data);
+    
+    if (name) {
+      registerAtlas(name, atlas);
+    }
+    
+    console.log(`🗂️ 图集加载成功: ${name || url}（${atlas.frames.size}帧）`);
+    return atlas;
+  }
+
+  /**
+   * 读取JSON文件
+   * @param {string} path - 文件路径
+   * @returns {Promise<Object>} 解析后的数据
+   * @private
+   */
+  _loadJSON(path) {
+    return new Promise((resolve, reject) => {
+      const parse = (text) => {
+        try {
+          resolve(typeof text === 'string' ? JSON.parse(text) : text);
+        } catch (error) {
+          reject(new Error(`Invalid JSON: ${path}`));
+        }
+      };
+      
+      if (typeof wx !== 'undefined' && wx.getFileSystemManager) {
+        // 微信小游戏环境：读代码包里的文件
+        wx.getFileSystemManager().readFile({
+          filePath: path,
+          encoding: 'utf8',
+          success: (res) => parse(res.data),
+          fail: () => reject(new Error(`Failed to load JSON: ${path}`))
+        });
+      } else if (typeof fetch === 'function') {
+        // 浏览器环境
+        fetch(path)
+          .then(response => {
+            if (!response.ok) throw new Error(`Failed to load JSON: ${path}`);
+            return response.text();
+          })
+          .then(parse, reject);
+      } else {
+        reject(new Error(`Failed to load JSON: ${path}`));
+      }
+    });
+  }
+
   /**
    * 预加载动画资源
    * @param {Object} animations - 动画配置对象
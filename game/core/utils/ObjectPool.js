@@ -0,0 +1,80 @@
+/**
+ * ObjectPool 对象池
+ * 把用完的对象收起来，下次需要时直接拿出来用，而不是每次都new一个新的
+ *
+ * 为什么需要对象池？
+ * 粒子、飘字、刷新的物品这些东西一秒钟可能出现又消失好几十次。
+ * 每次都new新对象，旧对象就要等垃圾回收来清理，低端手机上会突然卡一下。
+ * 对象池就像餐厅的盘子：客人吃完洗一洗接着用，不用每次都买新盘子！
+ *
+ * 用法：
+ *   const pool = new ObjectPool(() => new Bullet());
+ *   const bullet = pool.acquire();  // 拿一个（池里没有时会新建）
+ *   bullet.reset(x, y);             // 拿出来的对象要自己重置
+ *   pool.release(bullet);           // 用完放回去
+ */
+export class ObjectPool {
+  /**
+   * @param {Function} create - 创建新对象的函数
+   * @param {number} maxSize - 池里最多留多少个对象（多出来的交给垃圾回收）
+   */
+  constructor(create, maxSize = 256) {
+    this.create = create;
+    this.maxSize = maxSize;
+
+    // 空闲的对象
+    this.items = [];
+
+    // 统计信息
+    this.stats = {
+      created: 0,   // 新建了多少个
+      reused: 0,    // 复用了多少次
+      released: 0,  // 放回了多少次
+      dropped: 0    // 池满了没放进去的次数
+    };
+  }
+
+  /**
+   * 池里空闲对象的数量
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * 取出一个对象
+   * @returns {*} 池里的旧对象，或者新建的对象
+   */
+  acquire() {
+    if (this.items.length > 0) {
+      this.stats.reused++;
+      return this.items.pop();
+    }
+
+    this.stats.created++;
+    return this.create();
+  }
+
+  /**
+   * 把对象放回池里
+   * @param {*} object - 不再使用的对象
+   * @returns {boolean} 是否放进去了（池满时返回false）
+   */
+  release(object) {
+    if (this.items.length >= this.maxSize) {
+      this.stats.dropped++;
+      return false;
+    }
+
+    this.stats.released++;
+    this.items.push(object);
+    return true;
+  }
+
+  /**
+   * 清空池子
+   */
+  clear() {
+    this.items = [];
+  }
+}
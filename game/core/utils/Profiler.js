@@ -0,0 +1,219 @@
+import { now } from './Time.js';
+import { Renderer } from '../Renderer.js';
+
+/**
+ * Profiler 性能分析器
+ * 记录每一帧花了多少时间：更新用了多久、渲染用了多久、每个系统用了多久，
+ * 还有实体数量和绘制次数，并在画面上画一个FPS曲线图。
+ *
+ * 用法（游戏循环里）：
+ *   profiler.beginFrame();
+ *   gameManager.update();
+ *   profiler.endUpdate();
+ *   gameManager.render();
+ *   profiler.endFrame(world);
+ *   profiler.render(context);   // 画性能面板
+ *
+ * 想比较两个版本哪个更快？分别跑一会儿，调用 exportJSON() 把数据导出来对比。
+ */
+export class Profiler {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.historySize - 最多记住多少帧（默认120帧，也就是2秒）
+   * @param {string} options.label - 这份数据的名字（比如版本号），导出时带上
+   */
+  constructor(options = {}) {
+    this.historySize = options.historySize || 120;
+    this.label = options.label || '';
+
+    // 最近每一帧的数据（最旧的在前面）
+    this.samples = [];
+
+    // 一共记录了多少帧
+    this.frameCount = 0;
+
+    // 这一帧的计时
+    this._frameStart = 0;
+    this._updateEnd = 0;
+    this._lastFrameStart = null;
+
+    // 上一帧统计的ECS世界（每帧开始时把它的系统耗时合计清零）
+    this._world = null;
+
+    // 面板的位置和大小
+    this.hudX = 0;
+    this.hudY = 0;
+    this.hudWidth = 260;
+    this.hudHeight = 90;
+  }
+
+  /**
+   * 一帧开始（在更新之前调用）
+   */
+  beginFrame() {
+    this._frameStart = now();
+    Renderer.resetDrawCalls();
+
+    if (this._world) {
+      this._world.resetFrameTimings();
+    }
+  }
+
+  /**
+   * 更新结束、渲染开始
+   */
+  endUpdate() {
+    this._updateEnd = now();
+  }
+
+  /**
+   * 一帧结束（在渲染之后调用），记下这一帧的数据
+   * @param {World} world - 要统计实体和系统的ECS世界（可选）
+   */
+  endFrame(world = null) {
+    const end = now();
+
+    // 两帧开始之间的时间才是真正的帧时间（包括等待屏幕刷新的时间）
+    const frameTime = this._lastFrameStart === null ? 0 : this._frameStart - this._lastFrameStart;
+    this._lastFrameStart = this._frameStart;
+
+    const sample = {
+      frame: this.frameCount++,
+      frameTime,
+      update: this._updateEnd - this._frameStart,
+      render: end - this._updateEnd,
+      drawCalls: Renderer.getDrawCalls(),
+      entities: world ? world.entities.length : 0,
+      systems: []
+    };
+
+    // 换了世界（比如切换了游戏）：让新世界开始统计每个系统的耗时（下一帧才有数据），旧世界不用再统计了
+    if (world !== this._world) {
+      if (this._world) {
+        this._world.releaseTiming();
+      }
+      if (world) {
+        world.requestTiming();
+      }
+      this._world = world;
+    }
+
+    if (world) {
+      // 记的是这一帧的真实耗时（更新了好几步就是几步的合计），不是检查器里的平滑值
+      sample.systems = world.getSystemTimings().map(timing => ({
+        name: timing.name,
+        update: timing.frameUpdate,
+        render: timing.frameRender,
+        entities: timing.entityCount
+      }));
+    }
+
+    this.samples.push(sample);
+    if (this.samples.length > this.historySize) {
+      this.samples.shift();
+    }
+
+    return sample;
+  }
+
+  /**
+   * 最近这些帧的平均数据
+   * @returns {Object} { fps, frameTime, maxFrameTime, update, render, drawCalls, entities }
+   */
+  getSummary() {
+    const samples = this.samples.filter(sample => sample.frameTime > 0);
+    if (samples.length === 0) {
+      return { fps: 0, frameTime: 0, maxFrameTime: 0, update: 0, render: 0, drawCalls: 0, entities: 0 };
+    }
+
+    const average = key => samples.reduce((total, sample) => total + sample[key], 0) / samples.length;
+    const frameTime = average('frameTime');
+
+    return {
+      fps: frameTime > 0 ? 1000 / frameTime : 0,
+      frameTime,
+      maxFrameTime: Math.max(...samples.map(sample => sample.frameTime)),
+      update: average('update'),
+      render: average('render'),
+      drawCalls: average('drawCalls'),
+      entities: samples[samples.length - 1].entities
+    };
+  }
+
+  /**
+   * 导出成JSON，方便保存下来和别的版本对比
+   * @returns {string}
+   */
+  exportJSON() {
+    let platform = 'unknown';
+    if (typeof wx !== 'undefined' && wx.getSystemInfoSync) {
+      const info = wx.getSystemInfoSync();
+      platform = `${info.platform || ''} ${info.model || ''}`.trim();
+    }
+
+    return JSON.stringify({
+      label: this.label,
+      platform,
+      exportedAt: Date.now(),
+      frameCount: this.frameCount,
+      summary: this.getSummary(),
+      samples: this.samples
+    });
+  }
+
+  /**
+   * 清空记录
+   */
+  reset() {
+    this.samples = [];
+    this.frameCount = 0;
+    this._lastFrameStart = null;
+  }
+
+  /**
+   * 画性能面板：上面是数字，下面是帧时间曲线（绿色=流畅，黄色=有点卡，红色=很卡）
+   * @param {Object} context - 绘图上下文
+   */
+  render(context) {
+    const summary = this.getSummary();
+    const x = this.hudX;
+    const y = this.hudY;
+    const width = this.hudWidth;
+    const height = this.hudHeight;
+    const graphTop = y + 40;
+    const graphHeight = height - 44;
+
+    context.save();
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x, y, width, height);
+
+    context.font = '13px Arial';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = '#00FF7F';
+    context.fillText(`FPS ${summary.fps.toFixed(0)}  帧 ${summary.frameTime.toFixed(1)}ms  最慢 ${summary.maxFrameTime.toFixed(1)}ms`, x + 6, y + 4);
+    context.fillStyle = '#FFFFFF';
+    context.fillText(`更新 ${summary.update.toFixed(2)}ms  渲染 ${summary.render.toFixed(2)}ms  绘制 ${summary.drawCalls.toFixed(0)}  实体 ${summary.entities}`, x + 6, y + 21);
+
+    // 帧时间曲线：一帧一根竖条，33ms（30帧）画满
+    const barWidth = width / this.historySize;
+    this.samples.forEach((sample, index) => {
+      const barHeight = Math.min(sample.frameTime / 33.3, 1) * graphHeight;
+      if (sample.frameTime <= 17.5) {
+        context.fillStyle = '#00C853';
+      } else if (sample.frameTime <= 34) {
+        context.fillStyle = '#FFD600';
+      } else {
+        context.fillStyle = '#FF1744';
+      }
+      context.fillRect(x + index * barWidth, graphTop + graphHeight - barHeight, Math.max(barWidth - 0.5, 1), barHeight);
+    });
+
+    // 60帧的参考线
+    const lineY = graphTop + graphHeight - (16.7 / 33.3) * graphHeight;
+    context.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    context.fillRect(x, lineY, width, 1);
+
+    context.restore();
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Random 可以设置种子的随机数生成器
+ *
+ * 什么是随机种子？
+ * Math.random() 每次运行结果都不一样，想重现某一张地图就很难。
+ * 用同一个种子创建的 Random，每次"掷骰子"的结果顺序都完全一样，
+ * 就像按同一份菜谱做菜，做出来的味道总是一样的！
+ *
+ * 用法：
+ *   const random = new Random(42);
+ *   random.next();          // 0~1之间的小数（和Math.random()一样）
+ *   random.nextInt(0, 10);  // 0~9之间的整数
+ */
+export class Random {
+  /**
+   * @param {number} seed - 随机种子（不传时使用当前时间）
+   */
+  constructor(seed = Date.now()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * 重新设置种子，之后的随机数会从头开始
+   * @param {number} seed - 随机种子
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * 生成一个 [0, 1) 之间的随机小数
+   * 使用 mulberry32 算法：很短、很快，对游戏来说足够随机
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * 生成一个 [min, max) 之间的随机整数
+   * @param {number} min - 最小值（包含）
+   * @param {number} max - 最大值（不包含）
+   * @returns {number}
+   */
+  nextInt(min, max) {
+    return min + Math.floor(this.next() * (max - min));
+  }
+
+  /**
+   * 从数组里随机挑一个元素
+   * @param {Array} array - 数组
+   * @returns {*} 挑中的元素，数组为空时返回undefined
+   */
+  pick(array) {
+    return array[this.nextInt(0, array.length)];
+  }
+}
@@ -4,6 +4,8 @@
  * 
  * 这个工具可以帮助小朋友快速生成游戏角色的动画图片！
  */
+import { TextureAtlas } from './TextureAtlas.js';
+
 export class SpriteGenerator {
   constructor() {
     this.canvas = null;
@@ -328,4 +330,57 @@ export class SpriteGenerator {
     
     return animations;
   }
+
+  /**
+   * 生成角色图集：所有动画帧画在同一张大图上
+   * 每一行是一种动画的一个方向（idle_down、idle_up……walk_right），帧从左往右排
+   * 帧的名字是 "动画_方向_序号"，比如 walk_left_2
+   * @returns {{atlas: TextureAtlas, animations: Object}} 图集，和 { idle: { down: ['idle_down_0', ...] } } 这样的动画数据
+   */
+  generateCharacterAtlas() {
+    const directions = ['down', 'up', 'left', 'right'];
+    const generators = {
+      idle: direction => this.generateIdleFrames(direction),
+      walk: direction => this.generateWalkFrames(direction)
+    };
+    
+    // 先把每一行的帧都生成出来，才知道大图要多宽
+    const rows = [];
+    for (const [animationType, generate] of Object.entries(generators)) {
+      for (const direction of directions) {
+        rows.push({ animationType, direction, frames: generate(direction) });
+      }
+    }
+    
+    const size = this.spriteSize;
+    const columns = Math.max(...rows.map(row => row.frames.length));
+    
+    let sheet;
+    if (typeof wx !== 'undefined' && wx.createCanvas) {
+      sheet = wx.createCanvas();
+    } else {
+      sheet = document.createElement('canvas');
+    }
+    sheet.width = columns * size;
+    sheet.height = rows.length * size;
+    
+    const sheetContext = sheet.getContext('2d');
+    sheetContext.imageSmoothingEnabled = false;
+    
+    const atlas = new TextureAtlas(sheet);
+    const animations = {};
+    
+    rows.forEach((row, rowIndex) => {
+      animations[row.animationType] = animations[row.animationType] || {};
+      animations[row.animationType][row.direction] = row.frames.map((frame, column) => {
+        const name = `${row.animationType}_${row.direction}_${column}`;
+        sheetContext.drawImage(frame, column * size, rowIndex * size);
+        atlas.addFrame(name, column * size, rowIndex * size, size, size);
+        return name;
+      });
+    });
+    
+    console.log(`🗂️ 角色图集生成完成: ${sheet.width}x${sheet.height}，${atlas.frames.size}帧`);
+    return { atlas, animations };
+  }
 }
\ No newline at end of file
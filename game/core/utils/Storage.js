@@ -0,0 +1,60 @@
+/**
+ * Storage 本地存储
+ * 把数据存到手机里，关掉小游戏再打开也还在（比如自动存档）
+ *
+ * 微信小游戏里使用 wx.setStorageSync / wx.getStorageSync；
+ * 在没有这些接口的环境（比如Node里的无头运行）就先存在内存里，
+ * 游戏代码不用关心现在是哪种环境。
+ */
+
+// 没有wx存储接口时的内存存储（存JSON字符串，读出来的是新的对象，和真机一样）
+const memoryStorage = new Map();
+
+/**
+ * 当前环境有没有wx存储接口
+ * @returns {boolean}
+ */
+function hasWxStorage() {
+  return typeof wx !== 'undefined' && typeof wx.setStorageSync === 'function';
+}
+
+/**
+ * 保存数据
+ * @param {string} key - 名字
+ * @param {*} value - 要保存的数据（要能转成JSON）
+ */
+export function saveData(key, value) {
+  if (hasWxStorage()) {
+    wx.setStorageSync(key, value);
+  } else {
+    memoryStorage.set(key, JSON.stringify(value));
+  }
+}
+
+/**
+ * 读取数据
+ * @param {string} key - 名字
+ * @param {*} defaultValue - 没有存过时返回的值
+ * @returns {*}
+ */
+export function loadData(key, defaultValue = null) {
+  if (hasWxStorage()) {
+    const value = wx.getStorageSync(key);
+    // 真机上没存过的key会返回空字符串
+    return value === '' || value === undefined ? defaultValue : value;
+  }
+
+  return memoryStorage.has(key) ? JSON.parse(memoryStorage.get(key)) : defaultValue;
+}
+
+/**
+ * 删除数据
+ * @param {string} key - 名字
+ */
+export function removeData(key) {
+  if (hasWxStorage()) {
+    wx.removeStorageSync(key);
+  } else {
+    memoryStorage.delete(key);
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * TextLayout 文字排版
+ * 把一段文字按最大宽度折成几行，给 Renderer.drawTextBlock 用
+ *
+ * 中文每个字之间都可以换行，英文单词和数字不会被从中间切开（除非一个词比一整行还宽）。
+ * 还会照顾标点：逗号、句号这些不会跑到行首，左括号、左引号不会留在行尾。
+ *
+ * 量文字宽度（measureText）比较慢，量过的文字会记下来，下次直接用；
+ * 排好的结果也会记下来，同一段文字每帧画的时候不用重新排。
+ */
+
+// 不能放在行首的标点（跟着前一个字留在上一行）
+const NO_LINE_START = '，。、；：！？）》」』】〕〉”’…—,.;:!?)]}%';
+
+// 不能放在行尾的标点（跟着后一个字换到下一行）
+const NO_LINE_END = '（《「『【〔〈“‘([{';
+
+// 英文单词里的字符（连在一起的不拆开）
+const WORD_CHAR = /[0-9A-Za-zÀ-ɏ_'\-]/;
+
+// 缓存：太多了就整个清空，免得一直占着内存
+const MAX_MEASURE_CACHE = 2000;
+const MAX_LAYOUT_CACHE = 200;
+const measureCache = new Map();
+const layoutCache = new Map();
+
+/**
+ * 量一段文字有多宽（带缓存）
+ * @param {Object} context - 绘图上下文
+ * @param {string} text - 文字
+ * @param {string} font - 字体（和 context.font 的写法一样，比如 '20px Arial'）
+ * @returns {number} 宽度（像素）
+ */
+export function measureText(context, text, font) {
+  const key = `${font}\n${text}`;
+  let width = measureCache.get(key);
+
+  if (width === undefined) {
+    if (measureCache.size >= MAX_MEASURE_CACHE) {
+      measureCache.clear();
+    }
+    context.font = font;
+    width = context.measureText(text).width;
+    measureCache.set(key, width);
+  }
+
+  return width;
+}
+
+/**
+ * 把文字排成几行（带缓存，返回的结果是共用的，不要修改它）
+ * @param {Object} context - 绘图上下文
+ * @param {string} text - 文字（里面的 \n 会强制换行）
+ * @param {Object} options - 选项
+ * @param {string} options.font - 字体
+ * @param {number} options.lineHeight - 行高（像素）
+ * @param {number} options.maxWidth - 最大宽度，超过就换行（0表示不自动换行）
+ * @param {string} options.wrap - 换行方式：word（默认，英文单词不拆开）、char（哪里都能断开）、none（不自动换行）
+ * @param {number} options.maxLines - 最多几行，多出来的用"…"结尾（0表示不限制）
+ * @returns {{lines: Array<{text: string, width: number}>, width: number, height: number, lineHeight: number}}
+ */
+export function layoutText(context, text, options) {
+  const { font, lineHeight, maxWidth = 0, wrap = 'word', maxLines = 0 } = options;
+  const key = `${font}\n${lineHeight}\n${maxWidth}\n${wrap}\n${maxLines}\n${text}`;
+
+  let layout = layoutCache.get(key);
+  if (layout) return layout;
+
+  const measure = part => measureText(context, part, font);
+  let lines = [];
+
+  for (const paragraph of String(text).split('\n')) {
+    if (!maxWidth || wrap === 'none') {
+      lines.push(paragraph);
+    } else {
+      lines.push(...wrapParagraph(paragraph, maxWidth, wrap === 'char', measure));
+    }
+  }
+
+  if (maxLines > 0 && lines.length > maxLines) {
+    lines = lines.slice(0, maxLines);
+    lines[maxLines - 1] = addEllipsis(lines[maxLines - 1], maxWidth, measure);
+  }
+
+  const measured = lines.map(line => ({ text: line, width: measure(line) }));
+  layout = {
+    lines: measured,
+    width: Math.max(0, ...measured.map(line => line.width)),
+    height: measured.length * lineHeight,
+    lineHeight
+  };
+
+  if (layoutCache.size >= MAX_LAYOUT_CACHE) {
+    layoutCache.clear();
+  }
+  layoutCache.set(key, layout);
+
+  return layout;
+}
+
+/**
+ * 清空缓存（换了字体文件之类的时候用）
+ */
+export function clearTextCache() {
+  measureCache.clear();
+  layoutCache.clear();
+}
+
+/**
+ * 把一段文字切成一个个不能再拆开的小块
+ * 中文一个字一块，英文一个单词一块，空格单独一块；标点粘在旁边的字上
+ * @param {string} text - 文字
+ * @param {boolean} breakWords - 英文单词也拆成一个个字母
+ * @returns {Array<string>}
+ */
+function tokenize(text, breakWords) {
+  const tokens = [];
+  let glueNext = false;
+
+  // 用 for...of 一个字一个字地取，emoji这种占两个位置的字符不会被切坏
+  for (const char of text) {
+    const last = tokens.length - 1;
+    const lastToken = last >= 0 ? tokens[last] : null;
+
+    if (lastToken !== null && lastToken !== ' ' && (glueNext || NO_LINE_START.includes(char))) {
+      tokens[last] += char;
+    } else if (!breakWords && lastToken !== null && WORD_CHAR.test(char) && WORD_CHAR.test(lastToken[lastToken.length - 1])) {
+      tokens[last] += char;
+    } else {
+      tokens.push(char);
+    }
+
+    glueNext = NO_LINE_END.includes(char);
+  }
+
+  return tokens;
+}
+
+/**
+ * 把一段（没有 \n 的）文字按最大宽度折成几行
+ * @param {string} paragraph - 文字
+ * @param {number} maxWidth - 最大宽度
+ * @param {boolean} breakWords - 英文单词也可以拆开
+ * @param {Function} measure - 量宽度的函数
+ * @returns {Array<string>}
+ */
+function wrapParagraph(paragraph, maxWidth, breakWords, measure) {
+  const lines = [];
+  let line = '';
+  let lineWidth = 0;
+
+  for (const token of tokenize(paragraph, breakWords)) {
+    const tokenWidth = measure(token);
+
+    if (line && lineWidth + tokenWidth > maxWidth) {
+      // 换行：行尾的空格去掉，新的一行也不用空格开头
+      lines.push(line.trimEnd());
+      line = '';
+      lineWidth = 0;
+      if (token === ' ') continue;
+    }
+
+    if (tokenWidth > maxWidth) {
+      // 一个词比一整行还宽，只好一个字一个字地拆开
+      for (const char of token) {
+        const charWidth = measure(char);
+        if (line && lineWidth + charWidth > maxWidth) {
+          lines.push(line);
+          line = '';
+          lineWidth = 0;
+        }
+        line += char;
+        lineWidth += charWidth;
+      }
+      continue;
+    }
+
+    line += token;
+    lineWidth += tokenWidth;
+  }
+
+  lines.push(line.trimEnd());
+  return lines;
+}
+
+/**
+ * 在一行末尾加上"…"，太宽就从后面去掉几个字
+ * @param {string} line - 这一行
+ * @param {number} maxWidth - 最大宽度（0表示不限制）
+ * @param {Function} measure - 量宽度的函数
+ * @returns {string}
+ */
+function addEllipsis(line, maxWidth, measure) {
+  const chars = Array.from(line.trimEnd());
+
+  while (chars.length > 0 && maxWidth && measure(`${chars.join('')}…`) > maxWidth) {
+    chars.pop();
+  }
+
+  return `${chars.join('')}…`;
+}
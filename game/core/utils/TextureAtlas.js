@@ -0,0 +1,169 @@
+/**
+ * TextureAtlas 图集
+ * 把很多小图拼在一张大图上，每个小图（帧）用名字记下它在大图里的位置
+ *
+ * 为什么要用图集？
+ * 就像一整版贴纸：一张纸上印了很多贴纸，要哪张就从哪一格撕下来。
+ * 一张大图只加载一次，比几十张小图省内存，也不用来回切换图片。
+ *
+ * 用法：
+ *   const atlas = new TextureAtlas(image, {
+ *     coin: { x: 0, y: 0, width: 32, height: 32 },
+ *     seed: { x: 32, y: 0, width: 32, height: 32 }
+ *   });
+ *   registerAtlas('items', atlas);
+ *
+ *   renderer.drawSprite('items', 'coin', x, y);
+ *   entity.addComponent(new RenderComponent('sprite', { atlas: 'items', frame: 'coin', width: 32, height: 32 }));
+ *
+ * 每帧一样大、排得整整齐齐的精灵表用 TextureAtlas.fromGrid() 切开；
+ * 图集描述文件（JSON）用 imageLoader.loadAtlas() 加载。
+ */
+
+// 名字 → 图集（RenderComponent 里只存名字，这样组件还能存档）
+const atlases = new Map();
+
+export class TextureAtlas {
+  /**
+   * @param {Image|Canvas} image - 拼好的大图
+   * @param {Object} frames - 帧 { 名字: { x, y, width, height } }
+   */
+  constructor(image, frames = {}) {
+    this.image = image;
+
+    // 名字 → 帧在大图里的位置 { x, y, width, height }
+    this.frames = new Map();
+
+    for (const [name, rect] of Object.entries(frames)) {
+      this.addFrame(name, rect.x, rect.y, rect.width, rect.height);
+    }
+  }
+
+  /**
+   * 添加一帧
+   * @param {string} name - 帧名字
+   * @param {number} x - 在大图里的X坐标
+   * @param {number} y - 在大图里的Y坐标
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {TextureAtlas} 自己（可以连着写）
+   */
+  addFrame(name, x, y, width, height) {
+    this.frames.set(name, { x, y, width, height });
+    return this;
+  }
+
+  /**
+   * 获取一帧
+   * @param {string} name - 帧名字
+   * @returns {Object|null} { x, y, width, height }
+   */
+  getFrame(name) {
+    return this.frames.get(name) || null;
+  }
+
+  /**
+   * 是否有这一帧
+   * @param {string} name - 帧名字
+   * @returns {boolean}
+   */
+  hasFrame(name) {
+    return this.frames.has(name);
+  }
+
+  /**
+   * 所有帧的名字
+   * @returns {Array<string>}
+   */
+  getFrameNames() {
+    return Array.from(this.frames.keys());
+  }
+
+  /**
+   * 把每帧一样大的精灵表切成一帧一帧
+   * @param {Image|Canvas} image - 精灵表
+   * @param {number} frameWidth - 每帧宽度
+   * @param {number} frameHeight - 每帧高度
+   * @param {Array<string>} names - 每帧的名字（从左到右、从上到下），不给就叫 '0'、'1'、'2'…
+   * @returns {TextureAtlas}
+   */
+  static fromGrid(image, frameWidth, frameHeight, names = null) {
+    const atlas = new TextureAtlas(image);
+    const columns = Math.floor(image.width / frameWidth);
+    const rows = Math.floor(image.height / frameHeight);
+    const count = names ? Math.min(names.length, columns * rows) : columns * rows;
+
+    for (let i = 0; i < count; i++) {
+      const x = (i % columns) * frameWidth;
+      const y = Math.floor(i / columns) * frameHeight;
+      atlas.addFrame(names ? names[i] : String(i), x, y, frameWidth, frameHeight);
+    }
+
+    return atlas;
+  }
+
+  /**
+   * 用图集描述数据创建图集，支持三种写法：
+   * - 普通写法：{ frames: { coin: { x, y, width, height } } }
+   * - TexturePacker导出的JSON：{ frames: { 'coin.png': { frame: { x, y, w, h } } } }（frames也可以是数组，名字写在filename里）
+   * - 精灵表：{ grid: { frameWidth, frameHeight, names } }
+   * @param {Image|Canvas} image - 大图
+   * @param {Object} data - 描述数据
+   * @returns {TextureAtlas}
+   */
+  static fromJSON(image, data) {
+    if (data.grid) {
+      return TextureAtlas.fromGrid(image, data.grid.frameWidth, data.grid.frameHeight, data.grid.names);
+    }
+
+    const atlas = new TextureAtlas(image);
+    const frames = data.frames || {};
+    const entries = Array.isArray(frames)
+      ? frames.map(info => [info.filename, info])
+      : Object.entries(frames);
+
+    for (const [name, info] of entries) {
+      const rect = info.frame || info;
+      const width = rect.w !== undefined ? rect.w : rect.width;
+      const height = rect.h !== undefined ? rect.h : rect.height;
+      atlas.addFrame(name, rect.x, rect.y, width, height);
+    }
+
+    return atlas;
+  }
+}
+
+/**
+ * 登记图集（同名的会被替换，重新加载图集时直接再登记一次就行）
+ * @param {string} name - 图集名字
+ * @param {TextureAtlas} atlas - 图集
+ */
+export function registerAtlas(name, atlas) {
+  atlases.set(name, atlas);
+}
+
+/**
+ * 按名字获取图集
+ * @param {string} name - 图集名字
+ * @returns {TextureAtlas|null}
+ */
+export function getAtlas(name) {
+  return atlases.get(name) || null;
+}
+
+/**
+ * 检查图集是否已登记
+ * @param {string} name - 图集名字
+ * @returns {boolean}
+ */
+export function hasAtlas(name) {
+  return atlases.has(name);
+}
+
+/**
+ * 取消登记图集
+ * @param {string} name - 图集名字
+ */
+export function unregisterAtlas(name) {
+  atlases.delete(name);
+}
@@ -0,0 +1,26 @@
+/**
+ * Time 时间工具
+ * 提供精确到小数毫秒的计时，用来测量代码跑了多久
+ *
+ * Date.now() 只精确到1毫秒，一个系统更新一次往往连1毫秒都不到，
+ * 用它来测量会得到一堆0。所以这里优先使用更精确的计时器。
+ */
+
+/**
+ * 获取当前的高精度时间（毫秒，带小数）
+ * 只适合用来算两次调用之间的时间差，不是真实的日期时间
+ * @returns {number}
+ */
+export function now() {
+  // 微信小游戏：wx.getPerformance().now() 返回的是微秒
+  if (typeof wx !== 'undefined' && wx.getPerformance) {
+    return wx.getPerformance().now() / 1000;
+  }
+
+  // 浏览器和Node
+  if (typeof performance !== 'undefined' && performance.now) {
+    return performance.now();
+  }
+
+  return Date.now();
+}
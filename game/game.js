@@ -1,6 +1,7 @@
 // 太阳鸟游戏 - 微信小游戏入口文件
 import { GameManager } from './core/GameManager.js';
 import { ConfigManager } from './core/ConfigManager.js';
+import { Profiler } from './core/utils/Profiler.js';
 import { MainMenuGame } from './games/MainMenu/MainMenuGame.js';
 import { GridMoveGame } from './games/GridMove/GridMoveGame.js';
 
@@ -19,6 +20,9 @@ GameGlobal.configManager = configManager;
 // 游戏管理器实例
 let gameManager = null;
 
+// 性能分析器（配置里打开 debug.profiler 才会创建）
+let profiler = null;
+
 // 初始化游戏
 async function init() {
   try {
@@ -35,13 +39,20 @@ async function init() {
     // 初始化游戏管理器
     await gameManager.init();
     
+    if (configManager.get('gameConfig', 'debug.profiler', false)) {
+      profiler = new Profiler();
+      profiler.hudX = (canvas.width - profiler.hudWidth) / 2;
+      GameGlobal.profiler = profiler;
+      console.log('📈 性能面板已打开，调用 GameGlobal.profiler.exportJSON() 可以导出数据');
+    }
+    
+    // 先启动游戏主循环，加载画面和过渡效果都要靠它来画
+    gameLoop();
+    
     // 启动主菜单
     await gameManager.switchGame('MainMenu');
     
     console.log('游戏初始化完成');
-    
-    // 启动游戏主循环
-    gameLoop();
   } catch (error) {
     console.error('游戏初始化失败:', error);
   }
@@ -50,11 +61,22 @@ async function init() {
 // 游戏主循环
 function gameLoop() {
   if (gameManager) {
-    // 更新游戏逻辑
+    if (profiler) profiler.beginFrame();
+    
+    // 更新游戏逻辑（固定步长：这一帧可能更新0步、1步或好几步）
     gameManager.update();
     
-    // 渲染游戏画面
+    if (profiler) profiler.endUpdate();
+    
+    // 渲染游戏画面（在两步之间插值，画面更平滑）
     gameManager.render();
+    
+    // 性能面板画在最上面
+    if (profiler) {
+      const game = gameManager.currentGame;
+      profiler.endFrame(game && game.world);
+      profiler.render(context);
+    }
   }
   
   // 继续下一帧
@@ -1,5 +1,6 @@
 import { World } from '../../core/ecs/World.js';
 import { Renderer } from '../../core/Renderer.js';
+import { Camera } from '../../core/Camera.js';
 import { InputManager } from '../../core/InputManager.js';
 import { ConfigManager } from '../../core/ConfigManager.js';
 import { RenderSystem } from '../../core/systems/RenderSystem.js';
@@ -9,12 +10,12 @@ import { GridSystem } from './systems/GridSystem.js';
 import { DragSystem } from './systems/DragSystem.js';
 import { TerrainSystem } from './systems/TerrainSystem.js';
 import { CollectionSystem } from './systems/CollectionSystem.js';
+import { ItemRenderSystem } from './systems/ItemRenderSystem.js';
 import { PositionComponent } from '../../core/components/PositionComponent.js';
-import { RenderComponent } from '../../core/components/RenderComponent.js';
 import { MovementComponent } from '../../core/components/MovementComponent.js';
 import { AnimationComponent } from '../../core/components/AnimationComponent.js';
 import { GridComponent } from './components/GridComponent.js';
-import { PlayerComponent } from './components/PlayerComponent.js';
+import { ItemComponent } from './components/ItemComponent.js';
 import { TerrainComponent } from './components/TerrainComponent.js';
 import { InventoryComponent } from './components/InventoryComponent.js';
 import { UIManager } from './ui/UIManager.js';
@@ -22,19 +23,37 @@ import { MapGenerator } from './utils/MapGenerator.js';
 import { ItemGenerator } from './utils/ItemGenerator.js';
 import { SpriteGenerator } from '../../core/utils/SpriteGenerator.js';
 import { ImageLoader } from '../../core/utils/ImageLoader.js';
+import { registerAtlas, unregisterAtlas } from '../../core/utils/TextureAtlas.js';
+import { Random } from '../../core/utils/Random.js';
 import { AnimationTester } from '../../core/utils/AnimationTester.js';
+import { EcsInspector } from '../../core/utils/EcsInspector.js';
+import { PauseMenu } from '../../core/scenes/PauseMenu.js';
+import { GAME_EVENTS } from './utils/GameEvents.js';
+import './prefabs/GridMovePrefabs.js';
 
 /**
  * GridMoveGame 俯视角网格移动游戏
  * 玩家可以通过拖拽控制角色在网格中移动
  * 
  * 🎬 现在支持角色动画系统！角色会根据移动状态播放走路和站立动画！
+ * 
+ * 启动参数（switchGame 的 options.params）：
+ * - randomSeed: 地图的随机种子，同一个种子生成同一张地图
+ * - difficulty: 难度（easy / normal / hard，见配置里的 difficulty），决定地图上有多少金币和种子
+ * - save: 存档数据（save() 的返回值），从存档的位置和物品栏继续玩，已经捡走的物品不会再出现
  */
 export class GridMoveGame {
-  constructor(canvas, context, gameManager) {
+  constructor(canvas, context, gameManager, params = {}) {
     this.canvas = canvas;
     this.context = context;
     this.gameManager = gameManager;
+    this.params = params;
+    
+    // 💾 已经收集过物品的格子（"x,y"），存档时存下来，读档时这些格子不再放物品
+    this.collectedCells = new Set(params.save && params.save.collected ? params.save.collected : []);
+    
+    // 出生点（物品不会生成在它附近），在 _createPlayer 里确定
+    this.startGrid = null;
     
     // 创建ECS世界
     this.world = new World();
@@ -50,6 +69,7 @@ export class GridMoveGame {
     this.spriteGenerator = new SpriteGenerator();
     this.imageLoader = new ImageLoader();
     this.characterAnimations = null;
+    this.characterAtlas = 'gridMoveCharacter'; // 角色动画帧所在的图集名字
     this.animationSystem = null;
     this.animationTester = new AnimationTester(); // 🧪 动画测试器
     
@@ -62,16 +82,40 @@ export class GridMoveGame {
     this.gameAreaTop = 100;  // 游戏区域距离顶部100像素
     this.gameAreaBottom = 300;  // 游戏区域距离底部300像素（留给UI）
     
-    // 摄像机偏移
-    this.cameraX = 0;
-    this.cameraY = 0;
+    // 摄像机（跟随玩家，参数见 _loadConfig）
+    this.camera = null;
     
     // UI管理器
     this.uiManager = new UIManager(canvas, this.renderer, this.gameAreaBottom);
     
-    // 当前移动方向（用于调试显示）
+    // ⏸ 左上角的暂停按钮，点了会盖上暂停菜单
+    this.pauseButton = {
+      x: 20,
+      y: 25,
+      width: 80,
+      height: 50
+    };
+    
+    // 🔎 缩小/放大按钮（也可以两根手指在游戏画面上捏合/张开）
+    this.zoomOutButton = { x: 120, y: 25, width: 60, height: 50, label: '－' };
+    this.zoomInButton = { x: 190, y: 25, width: 60, height: 50, label: '＋' };
+    this.zoomStep = 1.25;
+    
+    // 🔍 ECS检查器（调试面板），点右上角的"调试"按钮打开/关闭
+    this.inspector = null;
+    this.inspectorButton = {
+      x: canvas.width - 100,
+      y: 25,
+      width: 80,
+      height: 50
+    };
+    
+    // 当前移动方向（用于调试显示，由 MOVE_DIRECTION 事件更新）
     this.currentDirection = '无';
     
+    // 拖拽指示线（由 DRAG_LINE 事件更新，null表示不显示）
+    this.dragLine = null;
+    
     // 玩家实体
     this.player = null;
     
@@ -96,6 +140,7 @@ export class GridMoveGame {
   
   /**
    * 初始化游戏
+   * 每做完一步就向游戏管理器报告进度，加载画面上的进度条会跟着走
    */
   async init() {
     console.log('🎮 网格移动游戏初始化...');
@@ -104,33 +149,52 @@ export class GridMoveGame {
     this._loadConfig();
     
     // 🎨 生成角色动画（这是新功能！）
+    await this.gameManager.reportProgress(0.1, '生成角色动画');
     await this._generateCharacterAnimations();
     
-    // 注册系统（按正确的顺序）
+    await this.gameManager.reportProgress(0.5, '准备游戏系统');
+    
+    // 注册系统（执行顺序由各系统的phase和priority决定，和这里的注册顺序无关）
     this.world.registerSystem(new MovementSystem());
     this.world.registerSystem(new GridSystem(this.gridSize, this.cellSize));
-    // 🌊 添加地形系统（在渲染系统之前）
-    this.world.registerSystem(new TerrainSystem(this.renderer, this.gridSize, this.cellSize));
-    // 🎁 添加收集系统（在地形系统之后）
+    // 🌊 添加地形系统（缩放时它要按新的清晰度重画地形）
+    this.terrainSystem = new TerrainSystem(this.renderer, this.gridSize, this.cellSize, this.camera);
+    this.world.registerSystem(this.terrainSystem);
+    this.camera.onZoomChange = (zoom) => this.terrainSystem.setZoom(zoom);
+    // 🎁 添加收集系统
     this.world.registerSystem(new CollectionSystem(this.gridSize, this.cellSize));
-    // 🎬 添加动画系统（在移动系统之后，渲染系统之前）
+    // 🎬 添加动画系统
     this.animationSystem = new AnimationSystem();
     this.world.registerSystem(this.animationSystem);
     // 传递游戏区域偏移信息给DragSystem
-    const dragSystem = new DragSystem(this.inputManager, this.gridSize, this.cellSize, this);
-    dragSystem.gameAreaTop = this.gameAreaTop;  // 设置游戏区域顶部偏移
-    this.world.registerSystem(dragSystem);
-    this.world.registerSystem(new RenderSystem(this.renderer, this.cellSize));  // 🎁 传递cellSize以支持物品渲染
+    this.world.registerSystem(new DragSystem(this.inputManager, this.gridSize, this.cellSize, this));
+    // 🎁 物品渲染系统（传递cellSize用来计算物品大小）
+    // 两个渲染系统都带上摄像机，画面外的物品和网格线就不画了
+    this.world.registerSystem(new ItemRenderSystem(this.renderer, this.cellSize, this.camera));
+    this.world.registerSystem(new RenderSystem(this.renderer, this.camera));
+    
+    // 🔍 创建ECS检查器（靠游戏区域右边，不挡住画面中间的玩家）
+    this._createInspector();
+    
+    // 订阅游戏事件（UI、音效等通过事件响应系统的变化）
+    this._setupGameEvents();
+    this._bindInventoryUI();
     
     // 创建游戏元素
+    await this.gameManager.reportProgress(0.6, '生成地图');
     this._createTerrain();  // 🌊 首先创建地形
+    
+    await this.gameManager.reportProgress(0.8, '放置角色和物品');
     this._createGrid();
     this._createPlayer();
+    this.camera.follow(this.player).snapToTarget();
     this._setupUIListener();
     
     // 🧪 运行动画系统测试
+    await this.gameManager.reportProgress(0.9, '检查动画');
     await this._runAnimationTests();
     
+    await this.gameManager.reportProgress(1, '完成');
     console.log('✅ 网格移动游戏初始化完成！');
   }
   
@@ -146,7 +210,42 @@ export class GridMoveGame {
     this.cellSize = config.get('gameConfig', 'grid.cellSize', 50);  // 默认值改为50
     this.playerSpeed = config.get('gameConfig', 'player.speed', 250);  // 默认值改为250
     
-    console.log(`📐 网格配置: ${this.gridSize}x${this.gridSize}, 单元格大小: ${this.cellSize}`);
+    this.camera = new Camera({
+      followSpeed: config.get('gameConfig', 'camera.followSpeed', 8),
+      deadZoneWidth: config.get('gameConfig', 'camera.deadZoneWidth', 60),
+      deadZoneHeight: config.get('gameConfig', 'camera.deadZoneHeight', 60),
+      lookAhead: config.get('gameConfig', 'camera.lookAhead', 60),
+      minZoom: config.get('gameConfig', 'camera.minZoom', 0.5),
+      maxZoom: config.get('gameConfig', 'camera.maxZoom', 2),
+      cullMargin: config.get('gameConfig', 'camera.cullMargin', 50)
+    });
+    this.zoomStep = config.get('gameConfig', 'camera.zoomStep', 1.25);
+    this.camera.setViewport(0, this.gameAreaTop, this.canvas.width, this.canvas.height - this.gameAreaTop - this.gameAreaBottom);
+    this.camera.setBounds(0, 0, this.gridSize * this.cellSize, this.gridSize * this.cellSize);
+    
+    // 随机种子：地图和物品都用它生成，配置里填了数字就能重现同一局
+    // 优先使用存档和启动参数里的种子
+    const save = this.params.save;
+    let randomSeed = config.get('gameConfig', 'terrain.randomSeed', null);
+    if (save && save.randomSeed != null) {
+      randomSeed = save.randomSeed;
+    } else if (this.params.randomSeed != null) {
+      randomSeed = this.params.randomSeed;
+    }
+    this.randomSeed = randomSeed !== null ? randomSeed : Date.now();
+    
+    // 难度：存档里的优先（难度不同物品位置也不同，读档时要用原来的难度）
+    let difficulty = (save && save.difficulty) || this.params.difficulty || config.get('gameConfig', 'difficulty.default', 'normal');
+    let settings = config.get('gameConfig', `difficulty.${difficulty}`, null);
+    if (!settings) {
+      console.warn(`未知的难度: ${difficulty}，使用普通难度`);
+      difficulty = 'normal';
+      settings = config.get('gameConfig', 'difficulty.normal', {});
+    }
+    this.difficulty = difficulty;
+    this.difficultySettings = settings;
+    
+    console.log(`📐 网格配置: ${this.gridSize}x${this.gridSize}, 单元格大小: ${this.cellSize}, 难度: ${this.difficulty}`);
   }
 
   /**
@@ -158,14 +257,16 @@ export class GridMoveGame {
     console.log('🎨 开始生成角色动画...');
     
     try {
-      // 使用精灵生成器创建动画帧
-      this.characterAnimations = await this.spriteGenerator.generateCharacterAnimations();
+      // 使用精灵生成器把所有动画帧画到一张图集上，动画里存的是帧名字
+      const { atlas, animations } = this.spriteGenerator.generateCharacterAtlas();
+      registerAtlas(this.characterAtlas, atlas);
+      this.characterAnimations = animations;
       
       console.log('✅ 角色动画生成完成！');
       console.log('📊 动画统计:');
-      console.log('  - 站立动画: 4个方向 × 3帧 = 12张图片');
-      console.log('  - 走路动画: 4个方向 × 4帧 = 16张图片');
-      console.log('  - 总计: 28张动画图片');
+      console.log('  - 站立动画: 4个方向 × 3帧 = 12帧');
+      console.log('  - 走路动画: 4个方向 × 4帧 = 16帧');
+      console.log('  - 总计: 28帧，都在一张图集上');
       
       return this.characterAnimations;
     } catch (error) {
@@ -197,7 +298,8 @@ export class GridMoveGame {
       landRatio: config.get('gameConfig', 'terrain.landRatio', 0.65),
       centerRadius: config.get('gameConfig', 'terrain.centerRadius', 0.35),
       edgeWaterRange: config.get('gameConfig', 'terrain.edgeWaterRange', 3),
-      maxRetries: config.get('gameConfig', 'terrain.maxRetries', 5)
+      maxRetries: config.get('gameConfig', 'terrain.maxRetries', 5),
+      randomSeed: this.randomSeed
     });
     
     // 生成随机地图
@@ -228,31 +330,17 @@ export class GridMoveGame {
    * @private
    */
   _createGrid() {
+    const gridLength = this.gridSize * this.cellSize;
+    
     // 绘制网格线
     for (let i = 0; i <= this.gridSize; i++) {
+      const offset = i * this.cellSize;
+      
       // 垂直线 - 位置要调整，因为矩形是以中心绘制的
-      const vLineEntity = this.world.createEntity();
-      const x = i * this.cellSize;
-      const gridHeight = this.gridSize * this.cellSize;
-      vLineEntity.addComponent(new PositionComponent(x, gridHeight / 2));
-      vLineEntity.addComponent(new RenderComponent('rect', {
-        width: 1,
-        height: gridHeight,
-        color: '#333333',
-        zIndex: 0
-      }));
+      this.world.spawn('gridLine', { x: offset, y: gridLength / 2, width: 1, height: gridLength });
       
       // 水平线 - 位置要调整，因为矩形是以中心绘制的
-      const hLineEntity = this.world.createEntity();
-      const y = i * this.cellSize;
-      const gridWidth = this.gridSize * this.cellSize;
-      hLineEntity.addComponent(new PositionComponent(gridWidth / 2, y));
-      hLineEntity.addComponent(new RenderComponent('rect', {
-        width: gridWidth,
-        height: 1,
-        color: '#333333',
-        zIndex: 0
-      }));
+      this.world.spawn('gridLine', { x: gridLength / 2, y: offset, width: gridLength, height: 1 });
     }
   }
   
@@ -263,8 +351,6 @@ export class GridMoveGame {
    * @private
    */
   _createPlayer() {
-    this.player = this.world.createEntity();
-    
     // 🌊 智能选择起始位置：找到一个可行走的位置
     let startGridX = Math.floor(this.gridSize / 2);
     let startGridY = Math.floor(this.gridSize / 2);
@@ -308,64 +394,40 @@ export class GridMoveGame {
       }
     }
     
-    const startX = startGridX * this.cellSize + this.cellSize / 2;
-    const startY = startGridY * this.cellSize + this.cellSize / 2;
+    // 出生点只由地图决定，读档时也一样，这样物品才会生成在和原来相同的地方
+    this.startGrid = { gridX: startGridX, gridY: startGridY };
+    
+    // 💾 从存档继续时回到存档的位置（存档的位置不能走的话就从出生点开始）
+    const savedPlayer = this.params.save ? this.params.save.player : null;
+    if (savedPlayer && (!terrainComponent || terrainComponent.isWalkable(savedPlayer.gridX, savedPlayer.gridY))) {
+      startGridX = savedPlayer.gridX;
+      startGridY = savedPlayer.gridY;
+    }
+    
+    // 🎬 有动画时玩家使用动画图片渲染，否则使用圆形渲染（见 prefabs/GridMovePrefabs.js）
+    this.player = this.world.spawn('player', {
+      gridX: startGridX,
+      gridY: startGridY,
+      gridSize: this.gridSize,
+      cellSize: this.cellSize,
+      speed: this.playerSpeed,
+      animations: this.characterAnimations,
+      atlas: this.characterAtlas
+    });
     
-    // 添加位置组件
-    this.player.addComponent(new PositionComponent(startX, startY));
+    // 💾 恢复存档里的物品栏（地图上的物品按种子重新生成）
+    if (savedPlayer && savedPlayer.inventory) {
+      this.player.getComponent(InventoryComponent).deserialize(savedPlayer.inventory);
+    }
     
-    // 🎬 根据是否有动画来设置渲染组件
     if (this.characterAnimations) {
-      // 有动画：使用图片渲染，初始设置为透明（动画系统会更新）
-      this.player.addComponent(new RenderComponent('image', {
-        width: 48,
-        height: 48,
-        zIndex: 10,
-        visible: true
-      }));
-      
-      // 添加动画组件
-      const animationComp = new AnimationComponent();
-      animationComp.addAnimations(this.characterAnimations);
-      animationComp.setDebug(true); // 启用调试模式
-      this.player.addComponent(animationComp);
-      
-      // 设置动画系统处理这个实体
-      if (this.animationSystem) {
-        this.animationSystem.setupEntityAnimations(this.player, this.characterAnimations);
-      }
-      
       console.log('🎭 玩家角色动画系统已启用！');
     } else {
-      // 没有动画：使用原来的圆形渲染
-      this.player.addComponent(new RenderComponent('circle', {
-        radius: this.cellSize / 2 - 2,  // 角色半径为单元格的一半减去2像素边距
-        color: '#00FF00',  // 绿色
-        zIndex: 10
-      }));
-      
       console.log('🔄 使用备用圆形渲染');
     }
     
-    // 添加其他组件
-    this.player.addComponent(new MovementComponent(this.playerSpeed));
-    
-    this.player.addComponent(new GridComponent(
-      startGridX,
-      startGridY,
-      this.gridSize,
-      this.cellSize
-    ));
-    
-    this.player.addComponent(new PlayerComponent());
-    this.player.addComponent(new InventoryComponent()); // 添加物品栏组件
-    
     console.log('👤 玩家角色创建完成！');
     
-    // 设置UI管理器的物品栏组件引用
-    const inventoryComponent = this.player.getComponent(InventoryComponent);
-    this.uiManager.setInventoryComponent(inventoryComponent);
-    
     // 玩家创建完成后，初始化物品生成
     this._initializeItemGeneration();
   }
@@ -397,22 +459,171 @@ export class GridMoveGame {
     }
   }
   
+  /**
+   * 创建ECS检查器
+   * @private
+   */
+  _createInspector() {
+    const gameAreaHeight = this.canvas.height - this.gameAreaTop - this.gameAreaBottom;
+    
+    const panelWidth = 340;
+    
+    this.inspector = new EcsInspector(this.renderer, this.world, {
+      x: this.canvas.width - panelWidth - 10,
+      y: this.gameAreaTop + 10,
+      width: panelWidth,
+      height: gameAreaHeight - 20
+    });
+    
+    this.inspector.worldToScreen = (x, y) => this.camera.worldToScreen(x, y);
+    
+    const config = GameGlobal.configManager || new ConfigManager();
+    if (config.get('gameConfig', 'debug.inspector', false)) {
+      this.inspector.setVisible(true);
+    }
+  }
+  
+  /**
+   * 检查点击位置是否在界面上（底部UI、顶部按钮、检查器面板）
+   * 在界面上按下时不会拖动角色
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @returns {boolean}
+   */
+  isInUIArea(x, y) {
+    return this.uiManager.isInUIArea(x, y) ||
+           this._isInButton(x, y, this.pauseButton) ||
+           this._isInButton(x, y, this.zoomOutButton) ||
+           this._isInButton(x, y, this.zoomInButton) ||
+           this._isInButton(x, y, this.inspectorButton) ||
+           (this.inspector !== null && this.inspector.containsPoint(x, y));
+  }
+  
+  /**
+   * 检查点是否在顶部按钮上
+   * @private
+   */
+  _isInButton(x, y, btn) {
+    return x >= btn.x && x <= btn.x + btn.width &&
+           y >= btn.y && y <= btn.y + btn.height;
+  }
+  
+  /**
+   * 把玩家的物品栏绑定到UI
+   * @private
+   */
+  _bindInventoryUI() {
+    // 物品栏组件添加、替换或移除时，UI自动跟着切换（比如读档后玩家实体换了）
+    this.world.onComponentAdded(InventoryComponent, (inventoryComponent) => {
+      this.uiManager.setInventoryComponent(inventoryComponent);
+    }, this);
+    
+    this.world.onComponentRemoved(InventoryComponent, (inventoryComponent) => {
+      if (this.uiManager.inventoryComponent === inventoryComponent) {
+        this.uiManager.setInventoryComponent(null);
+      }
+    }, this);
+  }
+  
+  /**
+   * 订阅游戏事件
+   * 系统只负责广播发生了什么，显示和音效在这里处理
+   * @private
+   */
+  _setupGameEvents() {
+    const events = this.world.events;
+    
+    events.on(GAME_EVENTS.MOVE_DIRECTION, ({ name }) => {
+      this.currentDirection = name;
+    }, this);
+    
+    events.on(GAME_EVENTS.MOVE_BLOCKED, ({ toX, toY }) => {
+      this.currentDirection = '阻挡'; // 显示被阻挡
+      this.camera.shake(4, 150);     // 撞到水边，画面轻轻晃一下
+      console.log(`无法移动到 (${toX}, ${toY}): 地形阻挡`);
+    }, this);
+    
+    events.on(GAME_EVENTS.DRAG_LINE, (line) => {
+      this.dragLine = line.visible ? line : null;
+    }, this);
+    
+    events.on(GAME_EVENTS.ITEM_COLLECTED, ({ entity, itemType, itemName, gridX, gridY }) => {
+      this.collectedCells.add(`${gridX},${gridY}`);
+      this._playCollectSound(itemType);
+      console.log(`💫 获得 ${itemName}！`);
+      
+      const inventory = entity.getComponent(InventoryComponent);
+      if (inventory) {
+        console.log(`📦 ${inventory.toString()}`);
+      }
+    }, this);
+    
+    events.on(GAME_EVENTS.ITEM_REJECTED, ({ itemName }) => {
+      console.warn(`物品栏已满，无法收集 ${itemName}`);
+    }, this);
+  }
+  
+  /**
+   * 播放收集音效（暂时用控制台输出代替）
+   * @param {string} itemType - 物品类型
+   * @private
+   */
+  _playCollectSound(itemType) {
+    const sounds = {
+      'coin': '🔔 叮！金币收集音效',
+      'seed': '🌱 嗖！种子收集音效',
+      'block': '🪨 咚！石块收集音效',
+      'terrain': '🟫 嚓！土块收集音效'
+    };
+    
+    const sound = sounds[itemType] || '✨ 收集音效';
+    console.log(sound);
+  }
+  
   /**
    * 设置UI监听
    * @private
    */
   _setupUIListener() {
+    // 🔎 两根手指在游戏画面上捏合/张开来缩放
+    this.inputManager.onPinch = (scale, centerX, centerY) => {
+      if (this.camera.containsScreenPoint(centerX, centerY)) {
+        this.camera.zoomBy(scale, centerX, centerY);
+      }
+    };
+    
     // 保存原始的touchEnd回调
     const originalOnTouchEnd = this.inputManager.onTouchEnd;
     
     // 添加自定义的touchEnd处理
     this.inputManager.onTouchEnd = (x, y) => {
+      // ⏸ 暂停按钮：盖上暂停菜单，游戏在下面停住
+      if (this._isInButton(x, y, this.pauseButton)) {
+        this.gameManager.pushScene(PauseMenu);
+        return;
+      }
+      
+      // 🔎 缩小/放大
+      if (this._isInButton(x, y, this.zoomOutButton)) {
+        this.camera.zoomBy(1 / this.zoomStep);
+        return;
+      }
+      if (this._isInButton(x, y, this.zoomInButton)) {
+        this.camera.zoomBy(this.zoomStep);
+        return;
+      }
+      
+      // 🔍 调试按钮和检查器面板
+      if (this._handleInspectorTap(x, y)) {
+        return;
+      }
+      
       // 先检查UI点击
       const uiResult = this.uiManager.handleClick(x, y);
       
       if (uiResult === 'back') {
         console.log('返回主菜单');
-        this.gameManager.switchGame('MainMenu');
+        this.gameManager.finishGame(this.getResult());
         return;
       } else if (uiResult === 'tab') {
         console.log('切换Tab:', this.uiManager.activeTab);
@@ -429,20 +640,117 @@ export class GridMoveGame {
     };
   }
   
+  /**
+   * 处理和ECS检查器有关的点击
+   * @param {number} x - 屏幕X坐标
+   * @param {number} y - 屏幕Y坐标
+   * @returns {boolean} 点击是否已经被处理
+   * @private
+   */
+  _handleInspectorTap(x, y) {
+    if (!this.inspector) return false;
+    
+    if (this._isInButton(x, y, this.inspectorButton)) {
+      this.inspector.toggle();
+      return true;
+    }
+    
+    if (this.inspector.handleTap(x, y)) {
+      return true;
+    }
+    
+    // 检查器打开时，在游戏区域里轻点（不是拖动）可以选中实体
+    // 选中后还要交给后面的处理，让拖动状态正常结束
+    const offset = this.inputManager.getTouchOffset();
+    const isTap = Math.abs(offset.x) < 10 && Math.abs(offset.y) < 10;
+    if (this.inspector.visible && isTap && !this.uiManager.isInUIArea(x, y) && this.camera.containsScreenPoint(x, y)) {
+      const point = this.camera.screenToWorld(x, y);
+      this.inspector.selectAt(point.x, point.y);
+    }
+    
+    return false;
+  }
+  
   /**
    * 更新游戏逻辑
+   * @param {number} deltaTime - 这一步的时间（毫秒）
+   */
+  update(deltaTime) {
+    this.world.update(deltaTime);
+    
+    // 摄像机跟着世界时钟走，暂停时也停住
+    this.camera.update(this.world.deltaTime);
+  }
+  
+  /**
+   * 暂停游戏（角色、动画、收集都停下来）
+   */
+  pause() {
+    this.world.pause();
+  }
+  
+  /**
+   * 继续游戏
+   */
+  resume() {
+    this.world.resume();
+  }
+  
+  /**
+   * 导出要自动存档的数据（小游戏切到后台时由GameManager调用）
+   * 地图和物品由随机种子和难度决定，所以只存种子、难度、捡走了哪些格子的物品、角色位置和物品栏
+   * @returns {Object} 存档数据
    */
-  update() {
-    this.world.update();
+  save() {
+    const data = {
+      randomSeed: this.randomSeed,
+      difficulty: this.difficulty,
+      collected: Array.from(this.collectedCells),
+      player: null
+    };
     
-    // 更新摄像机位置（跟随玩家）
-    this._updateCamera();
+    if (this.player) {
+      const grid = this.player.getComponent(GridComponent);
+      const inventory = this.player.getComponent(InventoryComponent);
+      data.player = {
+        gridX: grid.gridX,
+        gridY: grid.gridY,
+        inventory: inventory ? inventory.serialize() : null
+      };
+    }
+    
+    return data;
+  }
+  
+  /**
+   * 这一局的结果（结束游戏时交给下一个场景，比如主菜单）
+   * @returns {Object} { summary, difficulty, itemCount, items }
+   */
+  getResult() {
+    const inventory = this.player ? this.player.getComponent(InventoryComponent) : null;
+    const itemCount = inventory ? inventory.getTotalItemCount() : 0;
+    
+    return {
+      summary: `收集了 ${itemCount} 个物品`,
+      difficulty: this.difficulty,
+      itemCount,
+      items: inventory ? inventory.getInventoryData().map(item => ({ type: item.type, count: item.count })) : []
+    };
+  }
+  
+  /**
+   * 设置游戏速度（慢动作/快进）
+   * @param {number} scale - 速度倍率，1为正常速度
+   */
+  setTimeScale(scale) {
+    this.world.setTimeScale(scale);
   }
   
   /**
    * 渲染游戏画面
+   * @param {number} alpha - 渲染插值系数（0~1）
    */
-  render() {
+  render(alpha = 1) {
     // 清空画布
     this.renderer.clear('#0a0a0a');
     
@@ -450,22 +758,10 @@ export class GridMoveGame {
     const gameAreaWidth = this.canvas.width;
     const gameAreaHeight = this.canvas.height - this.gameAreaTop - this.gameAreaBottom;
     
-    // 保存当前状态
-    this.renderer.save();
-    
-    // 设置裁剪区域（只在游戏区域内显示）
-    this.renderer.context.beginPath();
-    this.renderer.context.rect(0, this.gameAreaTop, gameAreaWidth, gameAreaHeight);
-    this.renderer.context.clip();
-    
-    // 应用游戏区域偏移和摄像机偏移
-    this.renderer.context.translate(0, this.gameAreaTop);
-    this.renderer.context.translate(-this.cameraX, -this.cameraY);
-    
-    // 渲染世界中的所有实体
-    this.world.render();
-    
-    this.renderer.restore();
+    // 通过摄像机渲染世界中的所有实体（只画在游戏区域里）
+    this.camera.begin(this.renderer.context, alpha);
+    this.world.render(alpha);
+    this.camera.end(this.renderer.context);
     
     // 绘制游戏区域边框（可选，用于调试）
     this.renderer.context.strokeStyle = '#333333';
@@ -473,13 +769,12 @@ export class GridMoveGame {
     this.renderer.context.strokeRect(0, this.gameAreaTop, gameAreaWidth, gameAreaHeight);
     
     // 绘制拖拽线（在屏幕坐标系中，但需要考虑游戏区域偏移）
-    const dragSystem = this.world.systems.find(s => s instanceof DragSystem);
-    if (dragSystem && dragSystem.showDragLine) {
+    if (this.dragLine) {
       this.renderer.drawLine(
-        dragSystem.dragStartX,
-        dragSystem.dragStartY,
-        dragSystem.currentTouchX,
-        dragSystem.currentTouchY,
+        this.dragLine.startX,
+        this.dragLine.startY,
+        this.dragLine.endX,
+        this.dragLine.endY,
         '#FFD700',
         3
       );
@@ -487,6 +782,33 @@ export class GridMoveGame {
     
     // 绘制UI（不受摄像机影响）
     this._renderUI();
+    
+    const pauseBtn = this.pauseButton;
+    this.renderer.drawRect(pauseBtn.x, pauseBtn.y, pauseBtn.width, pauseBtn.height, '#37474F');
+    this.renderer.drawText('暂停', pauseBtn.x + pauseBtn.width / 2, pauseBtn.y + 15, '#FFFFFF', 20, 'center');
+    
+    for (const btn of [this.zoomOutButton, this.zoomInButton]) {
+      this.renderer.drawRect(btn.x, btn.y, btn.width, btn.height, '#37474F');
+      this.renderer.drawText(btn.label, btn.x + btn.width / 2, btn.y + 12, '#FFFFFF', 26, 'center');
+    }
+    this.renderer.drawText(`${this.camera.zoom.toFixed(2)}x`, 260, 40, '#AAAAAA', 18, 'left');
+    
+    // 🔍 最后画调试按钮和检查器，盖在所有东西上面
+    this._renderInspector();
+  }
+  
+  /**
+   * 渲染调试按钮和ECS检查器
+   * @private
+   */
+  _renderInspector() {
+    if (!this.inspector) return;
+    
+    const btn = this.inspectorButton;
+    this.renderer.drawRect(btn.x, btn.y, btn.width, btn.height, this.inspector.visible ? '#00838F' : '#37474F');
+    this.renderer.drawText('调试', btn.x + btn.width / 2, btn.y + 15, '#FFFFFF', 20, 'center');
+    
+    this.inspector.render();
   }
   
   /**
@@ -538,57 +860,23 @@ export class GridMoveGame {
     this.uiManager.render(gridInfo);
   }
   
-  /**
-   * 更新摄像机位置
-   * @private
-   */
-  _updateCamera() {
-    if (!this.player) return;
-    
-    const position = this.player.getComponent(PositionComponent);
-    if (!position) return;
-    
-    // 计算游戏区域的尺寸（扣除顶部和底部的UI空间）
-    const gameAreaWidth = this.canvas.width;
-    const gameAreaHeight = this.canvas.height - this.gameAreaTop - this.gameAreaBottom;
-    
-    // 计算游戏区域的中心
-    const screenCenterX = gameAreaWidth / 2;
-    const screenCenterY = gameAreaHeight / 2;
-    
-    // 计算世界边界
-    const worldWidth = this.gridSize * this.cellSize;
-    const worldHeight = this.gridSize * this.cellSize;
-    
-    // 目标摄像机位置（让玩家在游戏区域居中）
-    let targetCameraX = position.x - screenCenterX;
-    let targetCameraY = position.y - screenCenterY;
-    
-    // 限制摄像机不超出世界边界
-    targetCameraX = Math.max(0, Math.min(targetCameraX, worldWidth - gameAreaWidth));
-    targetCameraY = Math.max(0, Math.min(targetCameraY, worldHeight - gameAreaHeight));
-    
-    // 如果世界比游戏区域小，摄像机居中世界
-    if (worldWidth < gameAreaWidth) {
-      targetCameraX = (worldWidth - gameAreaWidth) / 2;
-    }
-    if (worldHeight < gameAreaHeight) {
-      targetCameraY = (worldHeight - gameAreaHeight) / 2;
-    }
-    
-    // 平滑移动摄像机（可选，让摄像机移动更流畅）
-    this.cameraX = targetCameraX;
-    this.cameraY = targetCameraY;
-  }
-  
   /**
    * 初始化物品生成系统
    */
   _initializeItemGeneration() {
     console.log('🎁 开始初始化物品生成系统...');
     
-    // 创建物品生成器
-    this.itemGenerator = new ItemGenerator(this.gridSize, this.cellSize);
+    // 创建物品生成器（种子加1，和地图的随机序列错开）
+    this.itemGenerator = new ItemGenerator(this.gridSize, this.cellSize, new Random(this.randomSeed + 1));
+    
+    // 按难度调整物品数量
+    const { coinCount, seedCount } = this.difficultySettings;
+    if (coinCount != null) {
+      this.itemGenerator.updateItemConfig('coin', { count: coinCount });
+    }
+    if (seedCount != null) {
+      this.itemGenerator.updateItemConfig('seed', { count: seedCount });
+    }
     
     // 设置地形组件引用，确保物品只生成在可行走区域
     const terrainComponent = this.terrainEntity?.getComponent(TerrainComponent);
@@ -596,20 +884,30 @@ export class GridMoveGame {
       this.itemGenerator.setTerrainComponent(terrainComponent);
     }
     
-    // 设置禁止生成区域（玩家起始位置周围3格范围内）
-    const playerGrid = this.player.getComponent(GridComponent);
-    if (playerGrid) {
+    // 设置禁止生成区域（出生点周围3格范围内，读档时玩家不在出生点也按出生点算）
+    if (this.startGrid) {
       this.itemGenerator.setForbiddenAreas([
         {
-          x: playerGrid.gridX,
-          y: playerGrid.gridY,
+          x: this.startGrid.gridX,
+          y: this.startGrid.gridY,
           radius: 3  // 3格半径内不生成物品
         }
       ]);
     }
     
     // 生成所有物品
-    const generatedItems = this.itemGenerator.generateAllItems(this.world);
+    let generatedItems = this.itemGenerator.generateAllItems(this.world);
+    
+    // 💾 读档时，存档里已经收集过的物品不再放回地图上（它们已经在物品栏里了）
+    if (this.collectedCells.size > 0) {
+      generatedItems = generatedItems.filter(entity => {
+        const item = entity.getComponent(ItemComponent);
+        if (!this.collectedCells.has(`${item.gridX},${item.gridY}`)) return true;
+        
+        this.world.removeEntity(entity);
+        return false;
+      });
+    }
     
     console.log(`🎁 物品生成完成！总共生成了 ${generatedItems.length} 个物品`);
     console.log('🪙 金币和种子已散布在地图各处，快去收集吧！');
@@ -634,8 +932,10 @@ export class GridMoveGame {
       this.spriteGenerator = null;
     }
     
+    unregisterAtlas(this.characterAtlas);
     this.characterAnimations = null;
     this.animationSystem = null;
+    this.inspector = null;
     
     // 清理ECS世界和输入管理器
     this.world.destroy();
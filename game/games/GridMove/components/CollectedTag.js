@@ -0,0 +1,7 @@
+import { defineTag } from '../../../core/ecs/Tag.js';
+
+/**
+ * CollectedTag 已收集标签
+ * 物品被玩家捡起后贴上这个标签，收集和物品渲染都不会再处理它
+ */
+export const CollectedTag = defineTag('CollectedTag');
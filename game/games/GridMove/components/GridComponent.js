@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 
 /**
  * GridComponent 网格组件
@@ -37,3 +38,5 @@ export class GridComponent extends Component {
     };
   }
 }
+
+registerComponent('GridComponent', GridComponent);
@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 
 /**
  * InventoryComponent 物品栏组件
@@ -192,6 +193,27 @@ export class InventoryComponent extends Component {
     return this.dirty;
   }
   
+  /**
+   * 导出物品栏数据（dirty只是给UI用的临时标记，不存档）
+   * @returns {Object} 存档数据
+   */
+  serialize() {
+    const data = super.serialize();
+    delete data.dirty;
+    return data;
+  }
+  
+  /**
+   * 从存档恢复物品栏
+   * @param {Object} data - 存档数据
+   */
+  deserialize(data) {
+    super.deserialize(data);
+    
+    // 标记为有变化，让UI刷新显示
+    this.dirty = true;
+  }
+  
   /**
    * 获取物品栏状态的字符串表示（用于调试）
    * @returns {string} 状态字符串
@@ -204,4 +226,6 @@ export class InventoryComponent extends Component {
     const itemStrings = this.items.map(item => `${item.type}: ${item.count}`);
     return `物品栏: ${itemStrings.join(', ')} (总计: ${this.getTotalItemCount()})`;
   }
-}
\ No newline at end of file
+}
+
+registerComponent('InventoryComponent', InventoryComponent);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 
 /**
  * ItemComponent 物品组件
@@ -12,6 +13,23 @@ export class ItemComponent extends Component {
   constructor(type, gridX, gridY, config = {}) {
     super();
     
+    // 物品配置信息（名称、颜色、大小、形状等，见 reset）
+    this.config = {};
+    
+    this.reset(type, gridX, gridY, config);
+  }
+  
+  /**
+   * 重置物品（物品从对象池里取出来复用时调用）
+   * 直接改字段，config 也还是原来那个对象，不会新建东西
+   * @param {string} type - 物品类型
+   * @param {number} gridX - 网格X坐标
+   * @param {number} gridY - 网格Y坐标
+   * @param {Object} config - 物品配置
+   */
+  reset(type, gridX, gridY, config = {}) {
+    this.entityId = null;
+    
     // 物品类型：'coin'(金币), 'seed'(种子), 'block'(阻挡物), 'terrain'(地形物品)
     this.type = type;
     
@@ -22,29 +40,32 @@ export class ItemComponent extends Component {
     // 是否已被收集
     this.collected = false;
     
-    // 物品配置信息
-    this.config = {
-      // 显示名称
-      name: config.name || this._getDefaultName(type),
-      
-      // 渲染颜色
-      color: config.color || this._getDefaultColor(type),
-      
-      // 物品大小（相对于格子的比例）
-      size: config.size || 0.6,
-      
-      // 是否可收集
-      collectable: config.collectable !== undefined ? config.collectable : this._isDefaultCollectable(type),
-      
-      // 是否阻挡移动
-      blocking: config.blocking !== undefined ? config.blocking : this._isDefaultBlocking(type),
-      
-      // 渲染形状：'circle'(圆形), 'square'(方形), 'diamond'(菱形)
-      shape: config.shape || this._getDefaultShape(type),
-      
-      // 额外的自定义属性
-      ...config
-    };
+    // 上一次用剩下的属性（比如收集特效设置的alpha）要清掉
+    const target = this.config;
+    for (const key of Object.keys(target)) {
+      delete target[key];
+    }
+    
+    // 显示名称
+    target.name = config.name || this._getDefaultName(type);
+    
+    // 渲染颜色
+    target.color = config.color || this._getDefaultColor(type);
+    
+    // 物品大小（相对于格子的比例）
+    target.size = config.size || 0.6;
+    
+    // 是否可收集
+    target.collectable = config.collectable !== undefined ? config.collectable : this._isDefaultCollectable(type);
+    
+    // 是否阻挡移动
+    target.blocking = config.blocking !== undefined ? config.blocking : this._isDefaultBlocking(type);
+    
+    // 渲染形状：'circle'(圆形), 'square'(方形), 'diamond'(菱形)
+    target.shape = config.shape || this._getDefaultShape(type);
+    
+    // 额外的自定义属性
+    Object.assign(target, config);
   }
   
   /**
@@ -153,4 +174,6 @@ export class ItemComponent extends Component {
   getRenderRadius(cellSize) {
     return (cellSize * this.config.size) / 2;
   }
-}
\ No newline at end of file
+}
+
+registerComponent('ItemComponent', ItemComponent);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 
 /**
  * PlayerComponent 玩家组件
@@ -12,3 +13,5 @@ export class PlayerComponent extends Component {
     this.canMove = true;
   }
 }
+
+registerComponent('PlayerComponent', PlayerComponent);
@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 import { TERRAIN_TYPES, getTerrainConfig, isTerrainWalkable } from '../utils/TerrainTypes.js';
 
 /**
@@ -206,4 +207,6 @@ export class TerrainComponent extends Component {
     
     return stats;
   }
-}
\ No newline at end of file
+}
+
+registerComponent('TerrainComponent', TerrainComponent);
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { registerPrefab } from '../../../core/ecs/Prefab.js';
+import { PositionComponent } from '../../../core/components/PositionComponent.js';
+import { RenderComponent } from '../../../core/components/RenderComponent.js';
+import { MovementComponent } from '../../../core/components/MovementComponent.js';
+import { AnimationComponent } from '../../../core/components/AnimationComponent.js';
+import { GridComponent } from '../components/GridComponent.js';
+import { PlayerComponent } from '../components/PlayerComponent.js';
+import { InventoryComponent } from '../components/InventoryComponent.js';
+import { ItemComponent } from '../components/ItemComponent.js';
+
+/**
+ * GridMove 预制体
+ * 玩家、物品、网格线这些实体长什么样，都在这里用数据写好
+ * 游戏里只需要 world.spawn('coin', { gridX, gridY }) 就能创建出来
+ */
+
+/**
+ * 根据网格坐标算出格子中心的像素坐标
+ * @param {Object} params - 预制体参数（需要gridX、gridY、cellSize）
+ * @returns {Object} { x, y }
+ */
+function gridToPixel({ gridX, gridY, cellSize }) {
+  return {
+    x: gridX * cellSize + cellSize / 2,
+    y: gridY * cellSize + cellSize / 2
+  };
+}
+
+/**
+ * 玩家
+ * 参数 animations 是角色动画数据，有动画时用图片渲染，没有时画一个绿色圆形
+ * 动画帧是图集里的帧名字时，参数 atlas 是图集的名字
+ */
+registerPrefab('player', {
+  defaults: {
+    gridX: 0,
+    gridY: 0,
+    gridSize: 30,
+    cellSize: 50,
+    speed: 250,
+    animations: null,
+    atlas: null
+  },
+  prepare: params => ({
+    ...gridToPixel(params),
+    // 角色半径为单元格的一半减去2像素边距
+    radius: params.cellSize / 2 - 2
+  }),
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    // 有动画：使用图片渲染，动画系统会更新图片
+    { type: RenderComponent, when: 'animations', args: ['image', { width: 48, height: 48, zIndex: 10, visible: true }] },
+    // 没有动画：使用圆形渲染
+    { type: RenderComponent, unless: 'animations', args: ['circle', { radius: '$radius', color: '#00FF00', zIndex: 10 }] },
+    { type: AnimationComponent, when: 'animations' },
+    { type: MovementComponent, args: ['$speed'] },
+    { type: GridComponent, args: ['$gridX', '$gridY', '$gridSize', '$cellSize'] },
+    { type: PlayerComponent },
+    { type: InventoryComponent }
+  ],
+  onSpawn(entity, params) {
+    if (!params.animations) return;
+
+    const animationComp = entity.getComponent(AnimationComponent);
+    animationComp.setDebug(true); // 启用调试模式
+    animationComp.atlas = params.atlas;
+    animationComp.addAnimations(params.animations);
+
+    // 默认播放站立动画
+    if (animationComp.hasAnimation('idle', 'down')) {
+      animationComp.play('idle', 'down');
+    }
+  }
+});
+
+/**
+ * 可收集物品（金币、种子等的基础预制体）
+ * 物品会被一批批地生成和清理，用对象池复用
+ */
+registerPrefab('item', {
+  pooled: true,
+  defaults: {
+    itemType: 'item',
+    gridX: 0,
+    gridY: 0,
+    cellSize: 50,
+    color: undefined,
+    size: undefined,
+    shape: undefined
+  },
+  prepare: gridToPixel,
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    {
+      type: ItemComponent,
+      args: ['$itemType', '$gridX', '$gridY', {
+        color: '$color',
+        size: '$size',
+        shape: '$shape',
+        collectable: true,
+        blocking: false
+      }]
+    }
+  ]
+});
+
+/**
+ * 金币 🪙
+ */
+registerPrefab('coin', {
+  extends: 'item',
+  defaults: {
+    itemType: 'coin',
+    color: '#FFD700',
+    size: 0.5,
+    shape: 'circle'
+  }
+});
+
+/**
+ * 种子 🌱
+ */
+registerPrefab('seed', {
+  extends: 'item',
+  defaults: {
+    itemType: 'seed',
+    color: '#8B4513',
+    size: 0.4,
+    shape: 'diamond'
+  }
+});
+
+/**
+ * 网格线（以中心点定位的细长矩形）
+ */
+registerPrefab('gridLine', {
+  defaults: {
+    x: 0,
+    y: 0,
+    width: 1,
+    height: 1,
+    color: '#333333'
+  },
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    { type: RenderComponent, args: ['rect', { width: '$width', height: '$height', color: '$color', zIndex: 0 }] }
+  ]
+});
@@ -1,9 +1,11 @@
-import { System } from '../../../core/ecs/System.js';
+import { System, SYSTEM_PHASES } from '../../../core/ecs/System.js';
 import { PositionComponent } from '../../../core/components/PositionComponent.js';
 import { GridComponent } from '../components/GridComponent.js';
 import { PlayerComponent } from '../components/PlayerComponent.js';
 import { ItemComponent } from '../components/ItemComponent.js';
 import { InventoryComponent } from '../components/InventoryComponent.js';
+import { CollectedTag } from '../components/CollectedTag.js';
+import { GAME_EVENTS } from '../utils/GameEvents.js';
 
 /**
  * CollectionSystem 收集系统
@@ -12,54 +14,53 @@ import { InventoryComponent } from '../components/InventoryComponent.js';
  * 什么是CollectionSystem？
  * 就像游戏中的"捡东西"功能！当你的角色走到金币或种子上时，
  * 这个系统会自动检测到，然后把物品放到你的背包里！
+ * 
+ * 收集成功后会广播 GAME_EVENTS.ITEM_COLLECTED，
+ * 音效、提示文字等由订阅这个事件的人负责
  */
 export class CollectionSystem extends System {
   constructor(gridSize, cellSize) {
     super();
+    this.name = 'CollectionSystem';
     
     this.gridSize = gridSize;
     this.cellSize = cellSize;
     
-    // 这个系统需要处理玩家实体和物品实体
-    this.requiredComponents = [];
+    // 这个系统处理还没被收集的物品，玩家通过查询单独获取
+    this.requiredComponents = [ItemComponent, PositionComponent];
+    this.withoutComponents = [CollectedTag];
     
-    // 收集音效（暂时用控制台输出代替）
-    this.collectSoundEnabled = true;
+    // 等玩家这一帧的位置确定后再检查收集
+    this.phase = SYSTEM_PHASES.POST_UPDATE;
   }
   
   /**
    * 系统主更新循环
    * 每帧都会检查玩家是否碰到了可收集的物品
+   * @param {number} deltaTime - 距离上一帧的时间（毫秒）
+   * @param {Array<Entity>} entities - 还没被收集的物品实体
    */
   update(deltaTime, entities) {
-    // 找到玩家实体
-    const playerEntity = this._findPlayerEntity(entities);
-    if (!playerEntity) return;
+    // 上一帧收集的物品从世界里移除，实体和组件回到对象池里给新物品用
+    this.cleanupCollectedItems();
     
-    // 获取玩家的网格位置
-    const playerGrid = playerEntity.getComponent(GridComponent);
-    if (!playerGrid) return;
+    if (entities.length === 0) return;
     
-    // 找到所有物品实体
-    const itemEntities = this._findItemEntities(entities);
-    if (itemEntities.length === 0) return;
+    // 找到玩家实体
+    const playerEntity = this._findPlayerEntity();
+    if (!playerEntity) return;
     
     // 检查玩家是否与任何物品发生碰撞
-    this._checkCollisions(playerEntity, itemEntities);
+    this._checkCollisions(playerEntity, entities);
   }
   
   /**
    * 查找玩家实体
+   * @returns {Entity|null}
    */
-  _findPlayerEntity(entities) {
-    for (const entity of entities) {
-      if (entity.hasComponent(PlayerComponent) && 
-          entity.hasComponent(GridComponent) &&
-          entity.hasComponent(InventoryComponent)) {
-        return entity;
-      }
-    }
-    return null;
+  _findPlayerEntity() {
+    const players = this.world.query([PlayerComponent, GridComponent, InventoryComponent]).entities;
+    return players.length > 0 ? players[0] : null;
   }
   
   /**
@@ -86,7 +87,7 @@ export class CollectionSystem extends System {
     for (const itemEntity of itemEntities) {
       const itemComponent = itemEntity.getComponent(ItemComponent);
       
-      // 跳过已收集的物品
+      // 跳过这一帧刚收集的物品（标签要到帧末才贴上）
       if (itemComponent.collected) continue;
       
       // 跳过不可收集的物品
@@ -122,47 +123,31 @@ export class CollectionSystem extends System {
     if (!added) {
       // 如果物品栏满了，取消收集
       itemComponent.collected = false;
-      console.warn(`物品栏已满，无法收集 ${itemComponent.config.name}`);
+      this.emit(GAME_EVENTS.ITEM_REJECTED, {
+        entity: playerEntity,
+        itemEntity,
+        itemType: itemComponent.type,
+        itemName: itemComponent.config.name
+      });
       return;
     }
     
-    // 播放收集音效（暂时用控制台输出）
-    if (this.collectSoundEnabled) {
-      this._playCollectSound(itemComponent.type);
-    }
-    
-    // 显示收集提示
-    this._showCollectMessage(itemComponent);
+    // 贴上已收集标签（帧末生效，不打乱正在遍历的物品列表）
+    this.world.commands.addComponent(itemEntity, new CollectedTag());
     
     // 可以在这里添加收集特效
     this._playCollectEffect(itemEntity, itemComponent);
     
-    console.log(`🎉 收集成功: ${itemComponent.config.name} (${itemComponent.type})`);
-    console.log(`📦 ${inventory.toString()}`);
-  }
-  
-  /**
-   * 播放收集音效（暂时用控制台输出代替）
-   */
-  _playCollectSound(itemType) {
-    const sounds = {
-      'coin': '🔔 叮！金币收集音效',
-      'seed': '🌱 嗖！种子收集音效',
-      'block': '🪨 咚！石块收集音效',
-      'terrain': '🟫 嚓！土块收集音效'
-    };
-    
-    const sound = sounds[itemType] || '✨ 收集音效';
-    console.log(sound);
-  }
-  
-  /**
-   * 显示收集消息
-   */
-  _showCollectMessage(itemComponent) {
-    // 这里可以实现浮动文字效果
-    // 暂时用控制台输出
-    console.log(`💫 获得 ${itemComponent.config.name}！`);
+    // 广播收集成功
+    this.emit(GAME_EVENTS.ITEM_COLLECTED, {
+      entity: playerEntity,
+      itemEntity,
+      itemType: itemComponent.type,
+      itemName: itemComponent.config.name,
+      gridX: itemComponent.gridX,
+      gridY: itemComponent.gridY,
+      count: inventory.getItemCount(itemComponent.type)
+    });
   }
   
   /**
@@ -226,27 +211,21 @@ export class CollectionSystem extends System {
   }
   
   /**
-   * 清理已收集的物品实体
-   * 这个方法可以定期调用来清理内存
+   * 清理已收集的物品实体（每帧update开头调用）
+   * @returns {number} 清理的物品数量
    */
-  cleanupCollectedItems(entities) {
-    const itemEntities = this._findItemEntities(entities);
-    const toRemove = [];
+  cleanupCollectedItems() {
+    const collected = this.world.query([ItemComponent, CollectedTag]).entities;
+    if (collected.length === 0) return 0;
     
-    for (const itemEntity of itemEntities) {
-      const itemComponent = itemEntity.getComponent(ItemComponent);
-      
-      if (itemComponent.collected) {
-        toRemove.push(itemEntity);
-      }
-    }
+    // 复制一份，销毁命令执行时会修改查询结果
+    const toRemove = collected.slice();
     
     // 从世界中移除已收集的物品实体
+    // 通过命令缓冲区延迟到帧末执行，不会打乱正在遍历的实体列表
     for (const entity of toRemove) {
-      if (entity.world && entity.world.removeEntity) {
-        entity.world.removeEntity(entity);
-        console.log(`🗑️ 清理已收集物品: ${entity.getComponent(ItemComponent).config.name}`);
-      }
+      console.log(`🗑️ 清理已收集物品: ${entity.getComponent(ItemComponent).config.name}`);
+      this.world.commands.destroyEntity(entity);
     }
     
     return toRemove.length;
@@ -1,29 +1,38 @@
-import { System } from '../../../core/ecs/System.js';
+import { System, SYSTEM_PHASES } from '../../../core/ecs/System.js';
 import { PositionComponent } from '../../../core/components/PositionComponent.js';
 import { MovementComponent } from '../../../core/components/MovementComponent.js';
 import { PlayerComponent } from '../components/PlayerComponent.js';
 import { GridComponent } from '../components/GridComponent.js';
 import { TerrainComponent } from '../components/TerrainComponent.js';
+import { GAME_EVENTS } from '../utils/GameEvents.js';
 
 /**
  * DragSystem 拖拽系统
  * 处理玩家的拖拽控制
+ * 
+ * 方向变化、被阻挡、拖拽线等信息通过世界事件广播（见 GAME_EVENTS），
+ * 系统本身不关心谁在显示它们
  */
 export class DragSystem extends System {
   constructor(inputManager, gridSize, cellSize, game) {
     super();
+    this.name = 'DragSystem';
     
     this.inputManager = inputManager;
     this.gridSize = gridSize;
     this.cellSize = cellSize;
-    this.game = game;  // 保存游戏引用用于更新方向显示
+    this.game = game;  // 保存游戏引用用于判断UI区域
     
     this.requiredComponents = [PositionComponent, MovementComponent, PlayerComponent];
     
+    // 在网格对齐之后执行，这样到达格子中心的同一帧就能设置下一个目标，移动不会卡顿
+    this.phase = SYSTEM_PHASES.UPDATE;
+    this.priority = 20;
+    
     // 玩家实体引用（用于松手时对齐）
     this.playerEntity = null;
     
-    // 地形组件缓存（用于地形检查）
+    // 地形组件缓存（用于地形检查，地形组件变化时自动更新）
     this.terrainComponent = null;
     
     // 拖拽开始时的位置
@@ -47,8 +56,8 @@ export class DragSystem extends System {
     // 当前正在执行的方向（用于判断是否需要重新设置目标）
     this.currentDirection = null;
     
-    // 游戏区域偏移（由GridMoveGame设置）
-    this.gameAreaTop = 0;
+    // 上一次广播被阻挡的目标格子（避免重复广播）
+    this.lastBlockedKey = null;
     
     // 绑定输入事件
     this._bindInputEvents();
@@ -57,8 +66,20 @@ export class DragSystem extends System {
   _bindInputEvents() {
     // 触摸开始
     this.inputManager.onTouchStart = (x, y) => {
+      // 世界暂停时不响应拖动
+      if (this.world && this.world.paused) {
+        this.dragging = false;
+        return;
+      }
+      
       // 检查是否在UI区域按下，如果是则不触发拖动
-      if (this.game && this.game.uiManager && this.game.uiManager.isInUIArea(x, y)) {
+      if (this.game && this.game.isInUIArea(x, y)) {
+        this.dragging = false;
+        return;
+      }
+      
+      // 只有在游戏画面里按下才能拖动（摄像机知道画面在屏幕上的哪里）
+      if (this.game && this.game.camera && !this.game.camera.containsScreenPoint(x, y)) {
         this.dragging = false;
         return;
       }
@@ -89,6 +110,13 @@ export class DragSystem extends System {
       
       // 距离够了才显示拖拽线
       this.showDragLine = true;
+      this.emit(GAME_EVENTS.DRAG_LINE, {
+        visible: true,
+        startX: this.dragStartX,
+        startY: this.dragStartY,
+        endX: x,
+        endY: y
+      });
       
       // 获取拖拽方向（四个方向）
       const angle = Math.atan2(offsetY, offsetX);
@@ -110,15 +138,15 @@ export class DragSystem extends System {
         directionName = '左';
       }
       
+      // 方向改变时广播
+      if (directionName !== this.nextDirectionName) {
+        this.emit(GAME_EVENTS.MOVE_DIRECTION, { direction, name: directionName });
+      }
+      
       // 更新下一个方向（用于网格间的排队）
       this.nextDirection = direction;
       this.nextDirectionName = directionName;
       
-      // 更新游戏中的方向显示
-      if (this.game) {
-        this.game.currentDirection = directionName;
-      }
-      
       // 不要重置拖拽起点，保持从按下点计算方向
       // this.dragStartX = x;
       // this.dragStartY = y;
@@ -126,36 +154,42 @@ export class DragSystem extends System {
     
     // 触摸结束
     this.inputManager.onTouchEnd = () => {
+      if (this.showDragLine) {
+        this.emit(GAME_EVENTS.DRAG_LINE, { visible: false });
+      }
+      
       this.dragging = false;
       this.showDragLine = false;
       this.nextDirection = null;  // 清除方向，但不强制停止
       this.nextDirectionName = '无';
       this.currentDirection = null;  // 重置当前方向
+      this.lastBlockedKey = null;
       
-      // 重置方向显示
-      if (this.game) {
-        this.game.currentDirection = '无';
-      }
+      // 广播松手
+      this.emit(GAME_EVENTS.MOVE_DIRECTION, { direction: null, name: '无' });
       
       // 不要强制对齐！让角色自然移动到当前目标格子
       // this._snapToGridCenter();
     };
+    
+    // 触摸被打断（开始双指缩放等）：和松手一样停止拖动
+    this.inputManager.onTouchCancel = this.inputManager.onTouchEnd;
   }
   
-  update(deltaTime, entities) {
-    // 获取地形组件（第一次获取时缓存）
-    if (!this.terrainComponent) {
-      // 从世界中查找地形实体
-      const world = entities[0]?.world || this.game?.world;
-      if (world && world.getEntitiesWithComponent) {
-        const terrainEntities = world.getEntitiesWithComponent(TerrainComponent);
-        if (terrainEntities.length > 0) {
-          this.terrainComponent = terrainEntities[0].getComponent(TerrainComponent);
-          console.log('DragSystem: 地形组件已缓存');
-        }
-      }
-    }
+  init() {
+    this.onComponentAdded(TerrainComponent, (terrainComponent) => {
+      this.terrainComponent = terrainComponent;
+      console.log('DragSystem: 地形组件已缓存');
+    });
     
+    this.onComponentRemoved(TerrainComponent, (terrainComponent) => {
+      if (this.terrainComponent === terrainComponent) {
+        this.terrainComponent = null;
+      }
+    });
+  }
+  
+  update(deltaTime, entities) {
     for (const entity of entities) {
       const position = entity.getComponent(PositionComponent);
       const movement = entity.getComponent(MovementComponent);
@@ -212,18 +246,29 @@ export class DragSystem extends System {
             // 无法移动到目标位置（比如水域），停止移动并提供反馈
             movement.clearTarget();
             movement.stop();
-            this.currentDirection = null;
             
-            // 更新游戏中的方向显示
-            if (this.game) {
-              this.game.currentDirection = '阻挡'; // 显示被阻挡
+            // 同一个目标格子只广播一次，避免按住不放时每帧都广播
+            const blockedKey = `${clampedGridX},${clampedGridY}`;
+            if (this.lastBlockedKey !== blockedKey) {
+              this.lastBlockedKey = blockedKey;
+              this.emit(GAME_EVENTS.MOVE_BLOCKED, {
+                entity,
+                fromX: grid.gridX,
+                fromY: grid.gridY,
+                toX: clampedGridX,
+                toY: clampedGridY,
+                reason: 'terrain'
+              });
             }
             
-            console.log(`无法移动到 (${clampedGridX}, ${clampedGridY}): 地形阻挡`);
+            this.currentDirection = null;
             continue;
           }
         }
         
+        // 目标可以走，下次再被阻挡时需要重新广播
+        this.lastBlockedKey = null;
+        
         // 检查方向是否改变
         const directionChanged = !this.currentDirection || 
                                  this.currentDirection.x !== this.nextDirection.x || 
@@ -319,5 +364,6 @@ export class DragSystem extends System {
     this.inputManager.onTouchStart = null;
     this.inputManager.onTouchMove = null;
     this.inputManager.onTouchEnd = null;
+    this.inputManager.onTouchCancel = null;
   }
 }
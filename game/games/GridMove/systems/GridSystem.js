@@ -1,4 +1,4 @@
-import { System } from '../../../core/ecs/System.js';
+import { System, SYSTEM_PHASES } from '../../../core/ecs/System.js';
 import { PositionComponent } from '../../../core/components/PositionComponent.js';
 import { MovementComponent } from '../../../core/components/MovementComponent.js';
 import { GridComponent } from '../components/GridComponent.js';
@@ -11,29 +11,35 @@ import { TerrainComponent } from '../components/TerrainComponent.js';
 export class GridSystem extends System {
   constructor(gridSize, cellSize) {
     super();
+    this.name = 'GridSystem';
     
     this.gridSize = gridSize;
     this.cellSize = cellSize;
     
     this.requiredComponents = [PositionComponent, GridComponent, MovementComponent];
     
-    // 地形组件缓存
+    // 在移动系统之后执行，负责把到达的实体对齐到格子中心
+    this.phase = SYSTEM_PHASES.UPDATE;
+    this.priority = 10;
+    
+    // 地形组件缓存（地形组件添加、替换或移除时自动更新）
     this.terrainComponent = null;
   }
   
-  update(deltaTime, entities) {
-    // 获取地形组件（第一次获取时缓存）
-    if (!this.terrainComponent) {
-      const world = entities[0]?.world;
-      if (world && world.getEntitiesWithComponent) {
-        const terrainEntities = world.getEntitiesWithComponent(TerrainComponent);
-        if (terrainEntities.length > 0) {
-          this.terrainComponent = terrainEntities[0].getComponent(TerrainComponent);
-          console.log('GridSystem: 地形组件已缓存');
-        }
-      }
-    }
+  init() {
+    this.onComponentAdded(TerrainComponent, (terrainComponent) => {
+      this.terrainComponent = terrainComponent;
+      console.log('GridSystem: 地形组件已缓存');
+    });
     
+    this.onComponentRemoved(TerrainComponent, (terrainComponent) => {
+      if (this.terrainComponent === terrainComponent) {
+        this.terrainComponent = null;
+      }
+    });
+  }
+  
+  update(deltaTime, entities) {
     for (const entity of entities) {
       const position = entity.getComponent(PositionComponent);
       const grid = entity.getComponent(GridComponent);
@@ -0,0 +1,210 @@
+import { System, SYSTEM_PHASES } from '../../../core/ecs/System.js';
+import { PositionComponent } from '../../../core/components/PositionComponent.js';
+import { ItemComponent } from '../components/ItemComponent.js';
+import { CollectedTag } from '../components/CollectedTag.js';
+
+/**
+ * ItemRenderSystem 物品渲染系统
+ * 负责画出地图上的金币、种子等物品 🎁
+ * 
+ * 物品没有RenderComponent，而是根据ItemComponent里的形状和颜色直接画出来
+ * 已经被收集（贴了CollectedTag）的物品不会被画出来，在画面外的物品也跳过
+ */
+export class ItemRenderSystem extends System {
+  /**
+   * @param {Renderer} renderer - 渲染器
+   * @param {number} cellSize - 格子大小
+   * @param {Camera} camera - 摄像机（可选，没有就全部都画）
+   */
+  constructor(renderer, cellSize = 50, camera = null) {
+    super();
+    this.name = 'ItemRenderSystem';
+    
+    // 渲染器
+    this.renderer = renderer;
+    
+    // 格子大小（物品大小是相对格子的比例）
+    this.cellSize = cellSize;
+    
+    // 摄像机（用来跳过画面外的物品）
+    this.camera = camera;
+    
+    // 需要的组件类型
+    this.requiredComponents = [PositionComponent, ItemComponent];
+    this.withoutComponents = [CollectedTag];
+    
+    // 画在地形之上、角色之下
+    this.phase = SYSTEM_PHASES.RENDER;
+    this.priority = 50;
+  }
+  
+  /**
+   * 更新系统（渲染系统在update中不做任何事）
+   * @param {number} deltaTime - 距离上一帧的时间
+   * @param {Array<Entity>} entities - 符合条件的实体列表
+   */
+  update(deltaTime, entities) {
+    // 渲染系统不在update中做任何事，所有渲染在render方法中完成
+  }
+  
+  /**
+   * 渲染所有物品
+   * @param {Array<Entity>} entities - 符合条件的实体列表
+   */
+  render(entities) {
+    const visibleRect = this.camera ? this.camera.getVisibleRect() : null;
+    // 物品不会比一个格子大
+    const half = this.cellSize / 2;
+    
+    for (const entity of entities) {
+      const position = entity.getComponent(PositionComponent);
+      
+      if (visibleRect && (
+        position.x + half < visibleRect.left || position.x - half > visibleRect.right ||
+        position.y + half < visibleRect.top || position.y - half > visibleRect.bottom
+      )) {
+        continue;
+      }
+      
+      this._renderItem(position, entity.getComponent(ItemComponent));
+    }
+  }
+  
+  /**
+   * 渲染物品实体
+   * @param {PositionComponent} position - 位置组件
+   * @param {ItemComponent} item - 物品组件
+   */
+  _renderItem(position, item) {
+    const { x, y } = position;
+    const { config } = item;
+    
+    // 应用透明度（收集特效可能会设置）
+    const alpha = config.alpha !== undefined ? config.alpha : 1.0;
+    if (alpha <= 0) return;
+    
+    // 保存当前状态
+    this.renderer.context.save();
+    
+    // 设置透明度
+    if (alpha < 1.0) {
+      this.renderer.context.globalAlpha = alpha;
+    }
+    
+    // 根据物品形状渲染
+    switch (config.shape) {
+      case 'circle':
+        this._renderItemCircle(x, y, item);
+        break;
+      case 'square':
+        this._renderItemSquare(x, y, item);
+        break;
+      case 'diamond':
+        this._renderItemDiamond(x, y, item);
+        break;
+      default:
+        this._renderItemCircle(x, y, item); // 默认圆形
+    }
+    
+    // 恢复状态
+    this.renderer.context.restore();
+  }
+  
+  /**
+   * 渲染圆形物品（如金币）
+   */
+  _renderItemCircle(x, y, item) {
+    const radius = item.getRenderRadius(this.cellSize);
+    this.renderer.countDrawCalls(item.type === 'coin' ? 3 : 2);
+    
+    // 绘制物品主体
+    this.renderer.context.beginPath();
+    this.renderer.context.arc(x, y, radius, 0, Math.PI * 2);
+    this.renderer.context.fillStyle = item.config.color;
+    this.renderer.context.fill();
+    
+    // 绘制边框
+    this.renderer.context.strokeStyle = this._darkenColor(item.config.color, 0.3);
+    this.renderer.context.lineWidth = 2;
+    this.renderer.context.stroke();
+    
+    // 金币特效：内部高光
+    if (item.type === 'coin') {
+      this.renderer.context.beginPath();
+      this.renderer.context.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.4, 0, Math.PI * 2);
+      this.renderer.context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      this.renderer.context.fill();
+    }
+  }
+  
+  /**
+   * 渲染方形物品（如石块）
+   */
+  _renderItemSquare(x, y, item) {
+    const size = item.getRenderRadius(this.cellSize) * 2; // 方形的边长
+    const halfSize = size / 2;
+    this.renderer.countDrawCalls(2);
+    
+    // 绘制物品主体
+    this.renderer.context.fillStyle = item.config.color;
+    this.renderer.context.fillRect(x - halfSize, y - halfSize, size, size);
+    
+    // 绘制边框
+    this.renderer.context.strokeStyle = this._darkenColor(item.config.color, 0.3);
+    this.renderer.context.lineWidth = 2;
+    this.renderer.context.strokeRect(x - halfSize, y - halfSize, size, size);
+  }
+  
+  /**
+   * 渲染菱形物品（如种子）
+   */
+  _renderItemDiamond(x, y, item) {
+    const radius = item.getRenderRadius(this.cellSize);
+    this.renderer.countDrawCalls(item.type === 'seed' ? 3 : 2);
+    
+    // 绘制菱形
+    this.renderer.context.beginPath();
+    this.renderer.context.moveTo(x, y - radius);      // 上
+    this.renderer.context.lineTo(x + radius, y);      // 右
+    this.renderer.context.lineTo(x, y + radius);      // 下
+    this.renderer.context.lineTo(x - radius, y);      // 左
+    this.renderer.context.closePath();
+    
+    // 填充
+    this.renderer.context.fillStyle = item.config.color;
+    this.renderer.context.fill();
+    
+    // 边框
+    this.renderer.context.strokeStyle = this._darkenColor(item.config.color, 0.3);
+    this.renderer.context.lineWidth = 2;
+    this.renderer.context.stroke();
+    
+    // 种子特效：中间的小点
+    if (item.type === 'seed') {
+      this.renderer.context.beginPath();
+      this.renderer.context.arc(x, y, radius * 0.3, 0, Math.PI * 2);
+      this.renderer.context.fillStyle = this._darkenColor(item.config.color, 0.5);
+      this.renderer.context.fill();
+    }
+  }
+  
+  /**
+   * 颜色加深工具函数
+   */
+  _darkenColor(color, factor) {
+    // 简单的颜色加深实现
+    if (color.startsWith('#')) {
+      const hex = color.slice(1);
+      const r = parseInt(hex.substr(0, 2), 16);
+      const g = parseInt(hex.substr(2, 2), 16);
+      const b = parseInt(hex.substr(4, 2), 16);
+      
+      const newR = Math.floor(r * (1 - factor));
+      const newG = Math.floor(g * (1 - factor));
+      const newB = Math.floor(b * (1 - factor));
+      
+      return `rgb(${newR}, ${newG}, ${newB})`;
+    }
+    return color;
+  }
+}
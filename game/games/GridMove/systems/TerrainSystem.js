@@ -1,4 +1,4 @@
-import { System } from '../../../core/ecs/System.js';
+import { System, SYSTEM_PHASES } from '../../../core/ecs/System.js';
 import { TerrainComponent } from '../components/TerrainComponent.js';
 import { getTerrainColor, TERRAIN_TYPES } from '../utils/TerrainTypes.js';
 
@@ -14,28 +14,54 @@ export class TerrainSystem extends System {
    * @param {Renderer} renderer - 渲染器
    * @param {number} gridSize - 网格大小
    * @param {number} cellSize - 单元格大小
+   * @param {Camera} camera - 摄像机（可选，有的话只画看得见的那一块）
    */
-  constructor(renderer, gridSize, cellSize) {
+  constructor(renderer, gridSize, cellSize, camera = null) {
     super();
+    this.name = 'TerrainSystem';
     
     this.renderer = renderer;
     this.gridSize = gridSize;
     this.cellSize = cellSize;
+    this.camera = camera;
     
     // 这个系统需要地形组件
     this.requiredComponents = [TerrainComponent];
     
+    // 地形是背景，要最先绘制
+    this.phase = SYSTEM_PHASES.RENDER;
+    
     // 离屏Canvas用于优化渲染性能
     this.offscreenCanvas = null;
     this.offscreenContext = null;
     this.terrainCacheValid = false;
     
+    // 离屏Canvas的清晰度：摄像机放大时按放大后的尺寸预渲染，格子边缘才不会糊
+    // 画布太大很占内存，所以边长不超过 maxCacheSize
+    this.cacheScale = 1;
+    this.maxCacheSize = 2048;
+    
     // 初始化离屏Canvas
     this._initOffscreenCanvas();
     
     console.log('地形系统初始化完成');
   }
   
+  /**
+   * 系统初始化
+   * 地形组件被添加、替换或移除时，预渲染的缓存就过期了
+   */
+  init() {
+    const invalidate = () => {
+      if (this.terrainCacheValid) {
+        this.invalidateTerrainCache();
+      }
+    };
+    
+    this.onComponentAdded(TerrainComponent, invalidate);
+    this.onComponentRemoved(TerrainComponent, invalidate);
+  }
+  
   /**
    * 初始化离屏Canvas
    * 用于预渲染地形，提高性能
@@ -52,14 +78,10 @@ export class TerrainSystem extends System {
       }
       
       if (this.offscreenCanvas) {
-        const worldWidth = this.gridSize * this.cellSize;
-        const worldHeight = this.gridSize * this.cellSize;
-        
-        this.offscreenCanvas.width = worldWidth;
-        this.offscreenCanvas.height = worldHeight;
+        this._resizeOffscreenCanvas();
         this.offscreenContext = this.offscreenCanvas.getContext('2d');
         
-        console.log(`离屏Canvas创建成功: ${worldWidth}x${worldHeight}`);
+        console.log(`离屏Canvas创建成功: ${this.offscreenCanvas.width}x${this.offscreenCanvas.height}`);
       } else {
         console.warn('无法创建离屏Canvas，将使用实时渲染');
       }
@@ -70,6 +92,33 @@ export class TerrainSystem extends System {
     }
   }
   
+  /**
+   * 按世界大小和清晰度设置离屏Canvas的尺寸
+   * @private
+   */
+  _resizeOffscreenCanvas() {
+    const worldSize = this.gridSize * this.cellSize;
+    this.offscreenCanvas.width = Math.ceil(worldSize * this.cacheScale);
+    this.offscreenCanvas.height = Math.ceil(worldSize * this.cacheScale);
+  }
+  
+  /**
+   * 摄像机缩放改变时调用，按新的缩放重新预渲染地形
+   * 缩小时原来的清晰度就够了；放大时清晰度按0.25一档往上调，捏合过程中不会每帧都重画
+   * @param {number} zoom - 摄像机缩放
+   */
+  setZoom(zoom) {
+    if (!this.offscreenCanvas) return;
+    
+    const maxScale = this.maxCacheSize / (this.gridSize * this.cellSize);
+    const scale = Math.min(Math.max(1, Math.ceil(zoom * 4) / 4), maxScale);
+    if (scale === this.cacheScale) return;
+    
+    this.cacheScale = scale;
+    this._resizeOffscreenCanvas();
+    this.invalidateTerrainCache();
+  }
+  
   /**
    * 更新系统（每帧调用）
    * @param {number} deltaTime - 时间间隔
@@ -100,7 +149,13 @@ export class TerrainSystem extends System {
       const terrainComponent = entity.getComponent(TerrainComponent);
       
       if (terrainComponent) {
-        if (this.offscreenCanvas && this.terrainCacheValid) {
+        if (this.offscreenCanvas) {
+          // 缓存过期了（比如缩放变了）就马上重画，暂停的时候也能看到清晰的地形
+          if (!this.terrainCacheValid) {
+            this._prerenderTerrain(terrainComponent);
+            this.terrainCacheValid = true;
+          }
+          
           // 使用预渲染的地形
           this._renderCachedTerrain();
         } else {
@@ -123,8 +178,10 @@ export class TerrainSystem extends System {
     
     console.log('预渲染地形到离屏Canvas...');
     
-    // 清空离屏Canvas
+    // 清空离屏Canvas，再按清晰度放大画
+    this.offscreenContext.setTransform(1, 0, 0, 1, 0, 0);
     this.offscreenContext.clearRect(0, 0, this.offscreenCanvas.width, this.offscreenCanvas.height);
+    this.offscreenContext.setTransform(this.cacheScale, 0, 0, this.cacheScale, 0, 0);
     
     // 渲染每个地形格子
     for (let gridX = 0; gridX < this.gridSize; gridX++) {
@@ -157,8 +214,39 @@ export class TerrainSystem extends System {
       return;
     }
     
-    // 直接将离屏Canvas绘制到主Canvas上
-    this.renderer.context.drawImage(this.offscreenCanvas, 0, 0);
+    // 只把看得见的那一块从离屏Canvas贴到主Canvas上（清晰度高时会被缩回世界大小）
+    const area = this._getVisibleArea();
+    const width = area.right - area.left;
+    const height = area.bottom - area.top;
+    if (width <= 0 || height <= 0) return;
+    
+    const scale = this.cacheScale;
+    this.renderer.countDrawCalls();
+    this.renderer.context.drawImage(
+      this.offscreenCanvas,
+      area.left * scale, area.top * scale, width * scale, height * scale,
+      area.left, area.top, width, height
+    );
+  }
+  
+  /**
+   * 世界里需要画的范围（没有摄像机就是整个世界），不会超出世界边缘
+   * @returns {{left: number, top: number, right: number, bottom: number}}
+   * @private
+   */
+  _getVisibleArea() {
+    const worldSize = this.gridSize * this.cellSize;
+    if (!this.camera) {
+      return { left: 0, top: 0, right: worldSize, bottom: worldSize };
+    }
+    
+    const rect = this.camera.getVisibleRect();
+    return {
+      left: Math.max(0, Math.floor(rect.left)),
+      top: Math.max(0, Math.floor(rect.top)),
+      right: Math.min(worldSize, Math.ceil(rect.right)),
+      bottom: Math.min(worldSize, Math.ceil(rect.bottom))
+    };
   }
   
   /**
@@ -167,9 +255,15 @@ export class TerrainSystem extends System {
    * @private
    */
   _renderTerrainRealtime(terrainComponent) {
-    // 渲染每个地形格子
-    for (let gridX = 0; gridX < this.gridSize; gridX++) {
-      for (let gridY = 0; gridY < this.gridSize; gridY++) {
+    // 只渲染看得见的格子
+    const area = this._getVisibleArea();
+    const startX = Math.floor(area.left / this.cellSize);
+    const startY = Math.floor(area.top / this.cellSize);
+    const endX = Math.min(this.gridSize, Math.ceil(area.right / this.cellSize));
+    const endY = Math.min(this.gridSize, Math.ceil(area.bottom / this.cellSize));
+    
+    for (let gridX = startX; gridX < endX; gridX++) {
+      for (let gridY = startY; gridY < endY; gridY++) {
         const terrainType = terrainComponent.getTerrainAt(gridX, gridY);
         const color = getTerrainColor(terrainType);
         
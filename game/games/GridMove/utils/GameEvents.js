@@ -0,0 +1,44 @@
+/**
+ * GridMove 游戏事件定义
+ * 这里列出了GridMove里所有会"广播"的事件，以及每个事件带的数据
+ *
+ * 小朋友，这就像广播站的节目单：想知道什么时候有人捡到金币，
+ * 就订阅 ITEM_COLLECTED 这个节目！
+ */
+
+/**
+ * 游戏事件类型
+ */
+export const GAME_EVENTS = {
+  /**
+   * 收集到物品
+   * { entity, itemEntity, itemType, itemName, gridX, gridY, count }
+   * count 是收集后背包里这种物品的数量
+   */
+  ITEM_COLLECTED: 'item:collected',
+
+  /**
+   * 背包满了，物品没有捡起来
+   * { entity, itemEntity, itemType, itemName }
+   */
+  ITEM_REJECTED: 'item:rejected',
+
+  /**
+   * 移动被阻挡（比如前面是水）
+   * { entity, fromX, fromY, toX, toY, reason }
+   */
+  MOVE_BLOCKED: 'move:blocked',
+
+  /**
+   * 玩家拖拽的方向改变
+   * { direction: {x, y} | null, name }
+   * direction 为 null 表示松手了
+   */
+  MOVE_DIRECTION: 'move:direction',
+
+  /**
+   * 拖拽指示线变化
+   * { visible, startX, startY, endX, endY }（屏幕坐标）
+   */
+  DRAG_LINE: 'drag:line'
+};
@@ -1,6 +1,5 @@
-import { Entity } from '../../../core/ecs/Entity.js';
-import { PositionComponent } from '../../../core/components/PositionComponent.js';
-import { ItemComponent } from '../components/ItemComponent.js';
+import { hasPrefab } from '../../../core/ecs/Prefab.js';
+import { Random } from '../../../core/utils/Random.js';
 
 /**
  * ItemGenerator 物品生成器
@@ -11,9 +10,15 @@ import { ItemComponent } from '../components/ItemComponent.js';
  * 随机放置金币、种子等物品，让玩家去探索和收集！
  */
 export class ItemGenerator {
-  constructor(gridSize, cellSize) {
+  /**
+   * @param {number} gridSize - 网格大小
+   * @param {number} cellSize - 单元格大小
+   * @param {Random} random - 随机数生成器（不传时每次生成的位置都不一样）
+   */
+  constructor(gridSize, cellSize, random = new Random()) {
     this.gridSize = gridSize;
     this.cellSize = cellSize;
+    this.random = random;
     
     // 物品生成配置
     this.config = {
@@ -108,12 +113,11 @@ export class ItemGenerator {
       if (!position) continue;
       
       // 检查概率
-      if (Math.random() > config.probability) continue;
+      if (this.random.next() > config.probability) continue;
       
       // 创建物品实体
-      const itemEntity = this._createItemEntity(itemType, position.x, position.y, config);
+      const itemEntity = this._createItemEntity(itemType, position.x, position.y, config, world);
       if (itemEntity) {
-        world.addEntity(itemEntity);
         items.push(itemEntity);
         
         // 标记位置为已占用
@@ -142,8 +146,8 @@ export class ItemGenerator {
       attempts++;
       
       // 随机生成网格坐标
-      const gridX = Math.floor(Math.random() * this.gridSize);
-      const gridY = Math.floor(Math.random() * this.gridSize);
+      const gridX = this.random.nextInt(0, this.gridSize);
+      const gridY = this.random.nextInt(0, this.gridSize);
       
       // 检查位置是否有效
       if (this._isValidPosition(gridX, gridY)) {
@@ -212,29 +216,23 @@ export class ItemGenerator {
    * @param {number} gridX - 网格X坐标
    * @param {number} gridY - 网格Y坐标
    * @param {Object} config - 物品配置
+   * @param {World} world - ECS世界对象
    * @returns {Entity} 物品实体
    */
-  _createItemEntity(itemType, gridX, gridY, config) {
+  _createItemEntity(itemType, gridX, gridY, config, world) {
     try {
-      // 创建实体
-      const entity = new Entity();
+      // 有同名预制体就用它（比如'coin'），否则用通用的物品预制体
+      const prefabName = hasPrefab(itemType) ? itemType : 'item';
       
-      // 添加位置组件
-      const pixelX = gridX * this.cellSize + this.cellSize / 2;
-      const pixelY = gridY * this.cellSize + this.cellSize / 2;
-      entity.addComponent(new PositionComponent(pixelX, pixelY));
-      
-      // 添加物品组件
-      const itemComponent = new ItemComponent(itemType, gridX, gridY, {
+      return world.spawn(prefabName, {
+        itemType,
+        gridX,
+        gridY,
+        cellSize: this.cellSize,
         color: config.color,
         size: config.size,
-        shape: config.shape,
-        collectable: true,
-        blocking: false
+        shape: config.shape
       });
-      entity.addComponent(itemComponent);
-      
-      return entity;
     } catch (error) {
       console.error(`创建物品实体失败: ${itemType}`, error);
       return null;
@@ -261,9 +259,8 @@ export class ItemGenerator {
       return null;
     }
     
-    const itemEntity = this._createItemEntity(itemType, gridX, gridY, config);
+    const itemEntity = this._createItemEntity(itemType, gridX, gridY, config, world);
     if (itemEntity) {
-      world.addEntity(itemEntity);
       this.occupiedPositions.add(`${gridX},${gridY}`);
       console.log(`✨ 手动生成 ${itemType} 在位置 (${gridX}, ${gridY})`);
     }
@@ -1,4 +1,5 @@
 import { TERRAIN_TYPES } from './TerrainTypes.js';
+import { Random } from '../../../core/utils/Random.js';
 
 /**
  * MapGenerator 地图生成器
@@ -21,10 +22,13 @@ export class MapGenerator {
       centerRadius: 0.3,        // 中心陆地半径（相对于地图大小）
       edgeWaterRange: 3,        // 边缘水域范围（2-5格）
       maxRetries: 5,            // 最大重试次数
-      randomSeed: Date.now(),   // 随机种子
+      randomSeed: Date.now(),   // 随机种子（种子相同，生成的地图也相同）
       ...config
     };
     
+    // 随机数生成器
+    this.random = new Random(this.config.randomSeed);
+    
     console.log('地图生成器初始化完成', this.config);
   }
   
@@ -140,7 +144,7 @@ export class MapGenerator {
       
       // 添加随机性：权重越高的格子被选中的概率越大
       const probability = Math.min(1, cell.weight / maxRadius + 0.3);
-      if (Math.random() < probability) {
+      if (this.random.next() < probability) {
         terrainMap[cell.x][cell.y] = TERRAIN_TYPES.LAND;
         currentLandCells++;
       }
@@ -170,7 +174,7 @@ export class MapGenerator {
         if (distanceToEdge < edgeRange) {
           // 在边缘范围内，有一定概率变成水
           const probability = 1 - (distanceToEdge / edgeRange); // 越靠近边缘概率越高
-          if (Math.random() < probability * 0.8) { // 80%的基础概率
+          if (this.random.next() < probability * 0.8) { // 80%的基础概率
             terrainMap[x][y] = TERRAIN_TYPES.WATER;
           }
         }
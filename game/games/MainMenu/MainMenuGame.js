@@ -5,24 +5,38 @@ import { RenderSystem } from '../../core/systems/RenderSystem.js';
 import { InputSystem } from '../../core/systems/InputSystem.js';
 import { UISystem } from './systems/UISystem.js';
 import { NavigationSystem } from './systems/NavigationSystem.js';
-import { PositionComponent } from '../../core/components/PositionComponent.js';
 import { RenderComponent } from '../../core/components/RenderComponent.js';
-import { InputComponent } from '../../core/components/InputComponent.js';
-import { ButtonComponent } from './components/ButtonComponent.js';
-import { UIComponent } from './components/UIComponent.js';
+import './prefabs/MainMenuPrefabs.js';
+
+// 可以选的难度（名字要和配置里 difficulty 下面的一样）
+const DIFFICULTIES = [
+  { name: 'easy', displayName: '简单' },
+  { name: 'normal', displayName: '普通' },
+  { name: 'hard', displayName: '困难' }
+];
 
 /**
  * MainMenuGame 主菜单游戏
  * 显示"太阳鸟游戏"标题和子游戏选择界面
  * 
  * 这是玩家进入游戏后看到的第一个界面
+ * 从子游戏回来时，启动参数里会带着上一局的结果（见 GameManager.finishGame）
+ * 进入子游戏时会把选好的难度（difficulty）、要继续的存档（save）作为启动参数传过去
  */
 export class MainMenuGame {
-  constructor(canvas, context, gameManager) {
+  constructor(canvas, context, gameManager, params = {}) {
     this.canvas = canvas;
     this.context = context;
     this.gameManager = gameManager;
     
+    // 上一局的结果 { from, data }，第一次打开主菜单时没有
+    this.lastResult = params.result || null;
+    
+    // 选中的难度，默认沿用上一局的难度
+    const lastData = this.lastResult ? this.lastResult.data : null;
+    this.difficulty = (lastData && lastData.difficulty) || 'normal';
+    this.difficultyText = null;
+    
     // 创建ECS世界
     this.world = new World();
     
@@ -66,8 +80,10 @@ export class MainMenuGame {
     
     // 创建UI元素
     this._createTitle();
+    this._createResultText();
     this._createGameButtons();
     this._createNavigationButtons();
+    this._createDifficultyButton();
     
     console.log('主菜单初始化完成');
   }
@@ -77,22 +93,28 @@ export class MainMenuGame {
    * @private
    */
   _createTitle() {
-    const titleEntity = this.world.createEntity();
-    
-    titleEntity.addComponent(new PositionComponent(
-      this.canvas.width / 2,
-      150
-    ));
+    this.world.spawn('menuTitle', {
+      x: this.canvas.width / 2,
+      y: 150
+    });
+  }
+  
+  /**
+   * 显示上一局的结果（游戏在结果里提供 summary 文字时才显示）
+   * @private
+   */
+  _createResultText() {
+    const data = this.lastResult ? this.lastResult.data : null;
+    if (!data || !data.summary) return;
     
-    titleEntity.addComponent(new RenderComponent('text', {
-      text: '太阳鸟游戏',
-      fontSize: 48,
-      color: '#FFD700',
-      textAlign: 'center',
-      zIndex: 10
-    }));
+    const game = this.gameManager.getAllGames().find(info => info.name === this.lastResult.from);
+    const displayName = game ? game.displayName : this.lastResult.from;
     
-    titleEntity.addComponent(new UIComponent('title'));
+    this.world.spawn('menuMessage', {
+      x: this.canvas.width / 2,
+      y: 205,
+      text: `上一局「${displayName}」：${data.summary}`
+    });
   }
   
   /**
@@ -112,50 +134,48 @@ export class MainMenuGame {
     
     // 为每个游戏创建按钮
     allGames.forEach((game, index) => {
-      const buttonEntity = this.world.createEntity();
-      
       // 计算按钮位置
       const x = this.canvas.width / 2;
       const y = startY + index * (buttonHeight + buttonSpacing);
       
-      buttonEntity.addComponent(new PositionComponent(x, y));
-      
-      buttonEntity.addComponent(new RenderComponent('rect', {
+      const buttonEntity = this.world.spawn('gameButton', {
+        x,
+        y,
         width: buttonWidth,
         height: buttonHeight,
-        color: '#4CAF50',
-        zIndex: 5
-      }));
-      
-      buttonEntity.addComponent(new InputComponent({
-        touchable: true,
-        draggable: false
-      }));
+        gameName: game.name,
+        displayName: game.displayName,
+        preview: game.preview,
+        // 设置点击回调
+        onTouchEnd: () => {
+          console.log(`点击了游戏: ${game.displayName}`);
+          this.gameManager.switchGame(game.name, { params: { difficulty: this.difficulty } });
+        }
+      });
       
-      buttonEntity.addComponent(new ButtonComponent(
-        game.name,
-        game.displayName,
-        game.preview
-      ));
+      // 💾 有自动存档的游戏，按钮下半部分放一个"继续"按钮，从存档接着玩
+      const save = this.gameManager.loadAutoSave(game.name);
       
-      // 添加按钮文本
-      const textEntity = this.world.createEntity();
-      textEntity.addComponent(new PositionComponent(x, y));
-      textEntity.addComponent(new RenderComponent('text', {
-        text: game.displayName,
-        fontSize: 24,
-        color: '#FFFFFF',
-        textAlign: 'center',
-        zIndex: 6
-      }));
-      textEntity.addComponent(new UIComponent('button-text'));
+      // 添加按钮文本（作为按钮的子实体，跟着按钮移动和隐藏），有继续按钮时往上挪一点
+      this.world.spawn('buttonText', { text: game.displayName, y: save ? -25 : 0, parent: buttonEntity });
       
-      // 设置点击回调
-      const input = buttonEntity.getComponent(InputComponent);
-      input.onTouchEnd = () => {
-        console.log(`点击了游戏: ${game.displayName}`);
-        this.gameManager.switchGame(game.name);
-      };
+      if (save) {
+        // 叠在游戏按钮上面，zIndex要更高，点到这里时才不会被当成点了游戏按钮
+        const continueButton = this.world.spawn('menuButton', {
+          x: 0,
+          y: buttonHeight / 2 - 35,
+          width: buttonWidth - 30,
+          height: 50,
+          color: '#FF9800',
+          zIndex: 7,
+          parent: buttonEntity,
+          onTouchEnd: () => {
+            console.log(`继续游戏: ${game.displayName}`);
+            this.gameManager.switchGame(game.name, { params: { save } });
+          }
+        });
+        this.world.spawn('buttonText', { text: '继续上一局', fontSize: 20, zIndex: 8, parent: continueButton });
+      }
       
       this.gameButtons.push(buttonEntity);
     });
@@ -172,35 +192,58 @@ export class MainMenuGame {
     }
     
     // 创建"上一页"按钮
-    const prevButton = this.world.createEntity();
-    prevButton.addComponent(new PositionComponent(100, this.canvas.height - 100));
-    prevButton.addComponent(new RenderComponent('rect', {
-      width: 120,
-      height: 60,
-      color: '#2196F3',
-      zIndex: 5
-    }));
-    prevButton.addComponent(new InputComponent({ touchable: true }));
-    
-    const prevInput = prevButton.getComponent(InputComponent);
-    prevInput.onTouchEnd = () => this._prevPage();
+    this.world.spawn('menuButton', {
+      x: 100,
+      y: this.canvas.height - 100,
+      onTouchEnd: () => this._prevPage()
+    });
     
     // 创建"下一页"按钮
-    const nextButton = this.world.createEntity();
-    nextButton.addComponent(new PositionComponent(
-      this.canvas.width - 100,
-      this.canvas.height - 100
-    ));
-    nextButton.addComponent(new RenderComponent('rect', {
-      width: 120,
-      height: 60,
-      color: '#2196F3',
-      zIndex: 5
-    }));
-    nextButton.addComponent(new InputComponent({ touchable: true }));
+    this.world.spawn('menuButton', {
+      x: this.canvas.width - 100,
+      y: this.canvas.height - 100,
+      onTouchEnd: () => this._nextPage()
+    });
+  }
+  
+  /**
+   * 创建难度按钮（放在屏幕下方中间，点一下换一档）
+   * @private
+   */
+  _createDifficultyButton() {
+    const button = this.world.spawn('menuButton', {
+      x: this.canvas.width / 2,
+      y: this.canvas.height - 100,
+      width: 200,
+      color: '#9C27B0',
+      onTouchEnd: () => this._nextDifficulty()
+    });
     
-    const nextInput = nextButton.getComponent(InputComponent);
-    nextInput.onTouchEnd = () => this._nextPage();
+    const text = this.world.spawn('buttonText', { text: this._getDifficultyLabel(), parent: button });
+    this.difficultyText = text.getComponent(RenderComponent);
+  }
+  
+  /**
+   * 换到下一档难度
+   * @private
+   */
+  _nextDifficulty() {
+    const index = DIFFICULTIES.findIndex(item => item.name === this.difficulty);
+    this.difficulty = DIFFICULTIES[(index + 1) % DIFFICULTIES.length].name;
+    
+    if (this.difficultyText) {
+      this.difficultyText.text = this._getDifficultyLabel();
+    }
+    console.log(`难度: ${this.difficulty}`);
+  }
+  
+  /**
+   * 难度按钮上的文字
+   * @private
+   */
+  _getDifficultyLabel() {
+    const item = DIFFICULTIES.find(info => info.name === this.difficulty);
+    return `难度：${item ? item.displayName : this.difficulty}`;
   }
   
   /**
@@ -242,20 +285,22 @@ export class MainMenuGame {
   
   /**
    * 更新游戏逻辑
+   * @param {number} deltaTime - 这一步的时间（毫秒）
    */
-  update() {
-    this.world.update();
+  update(deltaTime) {
+    this.world.update(deltaTime);
   }
   
   /**
    * 渲染游戏画面
+   * @param {number} alpha - 渲染插值系数（0~1）
    */
-  render() {
+  render(alpha = 1) {
     // 清空画布
     this.renderer.clear('#1a1a2e');
     
     // 调用ECS世界的渲染系统
-    this.world.render();
+    this.world.render(alpha);
   }
   
   /**
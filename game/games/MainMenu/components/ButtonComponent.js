@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 
 /**
  * ButtonComponent 按钮组件
@@ -24,3 +25,5 @@ export class ButtonComponent extends Component {
     this.hovered = false;
   }
 }
+
+registerComponent('ButtonComponent', ButtonComponent);
@@ -1,4 +1,5 @@
 import { Component } from '../../../core/ecs/Component.js';
+import { registerComponent } from '../../../core/ecs/ComponentRegistry.js';
 
 /**
  * UIComponent UI组件
@@ -17,3 +18,5 @@ export class UIComponent extends Component {
     this.data = data;
   }
 }
+
+registerComponent('UIComponent', UIComponent);
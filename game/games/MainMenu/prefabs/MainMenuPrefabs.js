@@ -0,0 +1,106 @@
+import { registerPrefab } from '../../../core/ecs/Prefab.js';
+import { PositionComponent } from '../../../core/components/PositionComponent.js';
+import { RenderComponent } from '../../../core/components/RenderComponent.js';
+import { InputComponent } from '../../../core/components/InputComponent.js';
+import { ButtonComponent } from '../components/ButtonComponent.js';
+import { UIComponent } from '../components/UIComponent.js';
+
+/**
+ * MainMenu 预制体
+ * 主菜单里的标题、按钮、文字都在这里用数据描述
+ */
+
+/**
+ * 标题文字
+ */
+registerPrefab('menuTitle', {
+  defaults: {
+    x: 0,
+    y: 150,
+    text: '太阳鸟游戏',
+    fontSize: 48,
+    color: '#FFD700'
+  },
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    { type: RenderComponent, args: ['text', { text: '$text', fontSize: '$fontSize', color: '$color', textAlign: 'center', zIndex: 10 }] },
+    { type: UIComponent, args: ['title'] }
+  ]
+});
+
+/**
+ * 提示文字（比如上一局的结果）
+ */
+registerPrefab('menuMessage', {
+  defaults: {
+    x: 0,
+    y: 0,
+    text: '',
+    fontSize: 22,
+    color: '#AAAAAA'
+  },
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    { type: RenderComponent, args: ['text', { text: '$text', fontSize: '$fontSize', color: '$color', textAlign: 'center', zIndex: 10 }] },
+    { type: UIComponent, args: ['message'] }
+  ]
+});
+
+/**
+ * 可以点击的矩形按钮
+ * 参数 onTouchEnd 是点击回调；叠在别的按钮上面时把 zIndex 设大一点，先收到点击
+ */
+registerPrefab('menuButton', {
+  defaults: {
+    x: 0,
+    y: 0,
+    width: 120,
+    height: 60,
+    color: '#2196F3',
+    zIndex: 5,
+    onTouchEnd: null
+  },
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    { type: RenderComponent, args: ['rect', { width: '$width', height: '$height', color: '$color', zIndex: '$zIndex' }] },
+    { type: InputComponent, args: [{ touchable: true, draggable: false, onTouchEnd: '$onTouchEnd' }] }
+  ]
+});
+
+/**
+ * 游戏选择按钮（在普通按钮的基础上记录要进入的游戏）
+ */
+registerPrefab('gameButton', {
+  extends: 'menuButton',
+  defaults: {
+    width: 200,
+    height: 150,
+    color: '#4CAF50',
+    gameName: '',
+    displayName: '',
+    preview: null
+  },
+  components: [
+    { type: ButtonComponent, args: ['$gameName', '$displayName', '$preview'] }
+  ]
+});
+
+/**
+ * 按钮上的文字
+ * 一般用 parent 参数挂在按钮下面，x、y是相对按钮中心的偏移
+ */
+registerPrefab('buttonText', {
+  defaults: {
+    x: 0,
+    y: 0,
+    text: '',
+    fontSize: 24,
+    color: '#FFFFFF',
+    zIndex: 6
+  },
+  components: [
+    { type: PositionComponent, args: ['$x', '$y'] },
+    { type: RenderComponent, args: ['text', { text: '$text', fontSize: '$fontSize', color: '$color', textAlign: 'center', zIndex: '$zIndex' }] },
+    { type: UIComponent, args: ['button-text'] }
+  ]
+});
@@ -9,6 +9,7 @@ import { ButtonComponent } from '../components/ButtonComponent.js';
 export class NavigationSystem extends System {
   constructor(mainMenuGame) {
     super();
+    this.name = 'NavigationSystem';
     this.mainMenuGame = mainMenuGame;
     this.requiredComponents = [PositionComponent, ButtonComponent];
   }
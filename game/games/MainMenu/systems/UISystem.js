@@ -10,6 +10,7 @@ import { UIComponent } from '../components/UIComponent.js';
 export class UISystem extends System {
   constructor(renderer) {
     super();
+    this.name = 'UISystem';
     this.renderer = renderer;
     this.requiredComponents = [PositionComponent, RenderComponent, UIComponent];
   }